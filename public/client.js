@@ -9,11 +9,26 @@ const socket = io();
 socket.on("connect", () => {
   console.log("Connected to server");
   if (errorMsg) errorMsg.textContent = "";
+
+  // Rejoin our room automatically after a dropout or page reload
+  const session = loadSession();
+  const roomFromUrl = new URLSearchParams(window.location.search).get("room");
+  if (session && roomFromUrl && session.roomCode === roomFromUrl) {
+    requestedName = session.name;
+    socket.emit("join-room", {
+      roomCode: session.roomCode,
+      name: session.name,
+      sessionToken: session.token,
+    });
+  }
 });
 
 socket.on("disconnect", () => {
   console.log("Disconnected from server");
   if (errorMsg) errorMsg.textContent = "> error: disconnected from server";
+  if (statusLog && !gameScreen.classList.contains("hidden")) {
+    addLog("> connection lost, reconnecting...");
+  }
 });
 
 socket.on("connect_error", (err) => {
@@ -25,12 +40,14 @@ socket.on("connect_error", (err) => {
 const joinScreen = document.getElementById("join-screen");
 const gameScreen = document.getElementById("game-screen");
 const joinForm = document.getElementById("join-form");
+const createRoomBtn = document.getElementById("create-room-btn");
 const errorMsg = document.getElementById("error-msg");
 const displayRoom = document.getElementById("display-room");
 const displayName = document.getElementById("display-name");
 const statusLog = document.getElementById("status-log");
 const membersList = document.getElementById("members");
 const shareBtn = document.getElementById("share-btn");
+const inviteBtn = document.getElementById("invite-btn");
 const restartBtn = document.getElementById("restart-btn");
 const startRaceBtn = document.getElementById("start-race-btn");
 const lobbyMessage = document.getElementById("lobby-message");
@@ -39,12 +56,52 @@ const pauseBtn = document.getElementById("pause-btn");
 const newRoomBtn = document.getElementById("new-room-btn");
 const distanceSelector = document.getElementById("distance-selector");
 const raceDistanceSelect = document.getElementById("race-distance-select");
+const raceModeSelect = document.getElementById("race-mode-select");
+const eliminationIntervalSelect = document.getElementById(
+  "elimination-interval-select",
+);
+const chatForm = document.getElementById("chat-form");
+const chatInput = document.getElementById("chat-input");
+const readyBtn = document.getElementById("ready-btn");
+const readySelector = document.getElementById("ready-selector");
+const readyQuorumSelect = document.getElementById("ready-quorum-select");
+const autoStartSelect = document.getElementById("auto-start-select");
+const roomList = document.getElementById("room-list");
+const visibilitySelector = document.getElementById("visibility-selector");
+const roomVisibilitySelect = document.getElementById("room-visibility-select");
+const maxPlayersSelector = document.getElementById("max-players-selector");
+const maxPlayersSelect = document.getElementById("max-players-select");
+const memberCount = document.getElementById("member-count");
+const botSelector = document.getElementById("bot-selector");
+const botSkillSelect = document.getElementById("bot-skill-select");
+const addBotBtn = document.getElementById("add-bot-btn");
+const seedSelector = document.getElementById("seed-selector");
+const raceSeedInput = document.getElementById("race-seed-input");
+const seedSetBtn = document.getElementById("seed-set-btn");
+const seedRandomBtn = document.getElementById("seed-random-btn");
+const rulesSelector = document.getElementById("rules-selector");
+const rulesPresetSelect = document.getElementById("rules-preset-select");
+const rulesApplyBtn = document.getElementById("rules-apply-btn");
+const replaysSection = document.getElementById("replays-list");
+const replaysList = document.getElementById("replays");
+const memberMenu = document.getElementById("member-menu");
+const memberMenuName = document.getElementById("member-menu-name");
 
 // Track game state
 let isCreator = false;
+let myId = null;
+let hostId = null;
 let raceState = "waiting";
+let raceMode = "classic";
 let minPlayers = 2;
+let maxPlayers = 8;
 let canStart = false;
+let memberTotal = 0;
+let readyStatus = { readyCount: 0, readyNeeded: 1, playerCount: 0 };
+let autoStartIn = null; // ms until the lobby auto-starts, if scheduled
+let lastChatTime = 0; // Newest chat message already in the log
+let memberMenuTarget = null; // Member the host's context menu is open for
+let requestedName = ""; // Name we last asked to join or create a room with
 
 // Check for room code in URL params on page load
 (function checkUrlParams() {
@@ -64,13 +121,37 @@ joinForm.addEventListener("submit", (e) => {
     .value.trim()
     .toUpperCase();
   const name = document.getElementById("name").value.trim();
+  const password = document.getElementById("room-password").value;
 
-  if (!roomCode || !name) {
-    errorMsg.textContent = "> error: all fields required";
+  if (!name) {
+    errorMsg.textContent = "> error: enter a name";
     return;
   }
+  if (!roomCode) {
+    errorMsg.textContent = "> error: enter a room code, or [Create Room]";
+    return;
+  }
+
+  // Reclaim our spot if we're rejoining the room we dropped out of
+  const session = loadSession();
+  const sessionToken =
+    session && session.roomCode === roomCode ? session.token : undefined;
 
-  socket.emit("join-room", { roomCode, name });
+  // Invite links let us into a private room without the password
+  const urlParams = new URLSearchParams(window.location.search);
+  const inviteToken =
+    urlParams.get("room") && urlParams.get("room").toUpperCase() === roomCode
+      ? urlParams.get("invite") || undefined
+      : undefined;
+
+  requestedName = name;
+  socket.emit("join-room", {
+    roomCode,
+    name,
+    password,
+    sessionToken,
+    inviteToken,
+  });
 });
 
 // Successfully joined room
@@ -83,30 +164,81 @@ socket.on("joined", (data) => {
   displayRoom.textContent = data.roomCode;
   displayName.textContent = data.name;
 
+  // Track identity and host before rendering members
+  myId = data.playerId;
+  hostId = data.hostId;
+  isCreator = data.isCreator || false;
+  maxPlayers = data.maxPlayers || maxPlayers;
+  if (roomVisibilitySelect) {
+    roomVisibilitySelect.value = data.listed ? "listed" : "unlisted";
+  }
+  buildMaxPlayersOptions(2, data.maxPlayersLimit || 16);
+
   // Update members list
   updateMembers(data.members);
 
-  addLog(`> joined room [${data.roomCode}]`);
+  // Catch up on chat we haven't seen yet (a reconnect resends the history)
+  (data.chat || [])
+    .filter((message) => message.time > lastChatTime)
+    .forEach(addChat);
+
+  if (data.resumed) {
+    addLog(`> reconnected to room [${data.roomCode}]`);
+  } else {
+    addLog(`> joined room [${data.roomCode}]`);
+  }
+
+  // Someone here already had the name we asked for
+  if (
+    !data.resumed &&
+    requestedName.replace(/\s+/g, " ").trim() !== data.name
+  ) {
+    addLog(`> name taken - you are ${data.name}`);
+  }
+
+  // Remember the session so we can resume after a dropout
+  if (data.sessionToken) {
+    saveSession(data.roomCode, data.name, data.sessionToken);
+  }
 
   // Store race info
   raceState = data.raceState || "waiting";
   minPlayers = data.minPlayers || 2;
   canStart = data.canStart || false;
+  readyStatus = {
+    readyCount: data.readyCount || 0,
+    readyNeeded: data.readyNeeded || 1,
+    playerCount: data.playerCount || 0,
+  };
+  autoStartIn = null;
+  updateReadyRules(data.readyQuorum, data.autoStart);
 
   // Update stats display
   updateRaceInfo(data.playerCount, data.raceDistance);
+  updateSeedDisplay(data.seed, data.seedLocked);
+  setRuleLimits(data.ruleLimits);
+  updateRules(data.rules, data.rulesPreset);
+  updateRaceMode(data.raceMode, data.eliminationInterval);
+  updateReplays(data.replays || []);
+
+  // Private rooms hand out one-time invite links
+  document.getElementById("room-password").value = "";
+  if (inviteBtn) {
+    inviteBtn.classList.toggle("hidden", !data.private);
+  }
+  if (data.private && !data.resumed) {
+    addLog("> this room is private - share an [Invite Link] to let others in");
+  }
 
   // Check if user is the room creator
-  isCreator = data.isCreator || false;
-  if (isCreator) {
+  if (isCreator && !data.resumed) {
     addLog("> you are the host. you can start the race.");
-    if (canStart && raceState === "waiting") {
-      startRaceBtn.classList.remove("hidden");
-    }
-    // Show distance selector for host
-    if (distanceSelector && raceState === "waiting") {
-      distanceSelector.classList.remove("hidden");
-    }
+  }
+  updateHostControls();
+
+  // Lobby message only applies before the race
+  if (lobbyMessage) {
+    lobbyMessage.classList.toggle("hidden", raceState !== "waiting");
   }
 
   // Update URL with room code (without reloading)
@@ -121,34 +253,163 @@ socket.on("joined", (data) => {
       socket,
       data.playerId,
       data.playerColor,
-      0,
+      data.spawnWorldY || 0,
       data.raceDistance,
+      data.resumeState,
     );
+    Game.setSpectator(data.spectator);
+    Game.setRules(data.rules);
     Game.start();
-    addLog("> waiting for race to start...");
-    addLog("> press H to toggle stealth mode");
+    if (data.spectator) {
+      addLog("> race in progress - you are spectating");
+      addLog("> ←/→ switch racer, ↑ follow the leader");
+    } else if (!data.resumed) {
+      addLog("> waiting for race to start...");
+      addLog("> press H to toggle stealth mode");
+    }
   }
 });
 
+// Create a room - the server picks a free code
+if (createRoomBtn) {
+  createRoomBtn.addEventListener("click", () => {
+    const name = document.getElementById("name").value.trim();
+    const password = document.getElementById("room-password").value;
+
+    if (!name) {
+      errorMsg.textContent = "> error: enter a name";
+      return;
+    }
+
+    requestedName = name;
+    socket.emit("create-room", { name, password });
+  });
+}
+
 // Another user joined
 socket.on("user-joined", (data) => {
-  addLog(`> ${data.name} connected`);
+  if (data.spectator) {
+    addLog(`> ${data.name} is spectating`);
+  } else if (data.bot) {
+    addLog(`> ${data.name} (${data.bot} bot) is on the grid`);
+  } else {
+    addLog(`> ${data.name} connected`);
+  }
   updateMembers(data.members);
 
   // Update can start status
   canStart = data.canStart;
-  if (isCreator && canStart && raceState === "waiting") {
-    startRaceBtn.classList.remove("hidden");
-    addLog("> enough players! you can start the race now.");
-  }
+  updateHostControls();
 
   updatePlayerCount(data.playerCount);
 });
 
 // User left
 socket.on("user-left", (data) => {
-  addLog(`> ${data.name} disconnected`);
+  if (data.removed) {
+    addLog(`> ${data.name} was ${data.removed} by the host`);
+  } else if (data.reconnecting) {
+    addLog(`> ${data.name} lost connection, holding their spot...`);
+  } else {
+    addLog(`> ${data.name} disconnected`);
+  }
   updateMembers(data.members);
+
+  canStart = data.canStart;
+  updateHostControls();
+  updatePlayerCount(data.playerCount);
+});
+
+// The host removed us from the room
+socket.on("kicked", (data) => {
+  if (typeof Game !== "undefined") {
+    if (Game.isReplaying()) Game.stopReplay();
+    Game.stop();
+  }
+
+  // A ban is tied to our session too, so keep sending it to this room
+  const session = loadSession();
+  leaveRoomScreen();
+  if (data.banned && session) {
+    saveSession(session.roomCode, session.name, session.token);
+  }
+  refreshRoomList();
+  errorMsg.textContent = data.banned
+    ? `> error: you were banned from room [${data.roomCode}]`
+    : `> error: you were kicked from room [${data.roomCode}]`;
+});
+
+// Chat message from someone in the room
+socket.on("chat-message", (data) => {
+  addChat(data);
+});
+
+socket.on("chat-rate-limited", (data) => {
+  addLog(
+    `> slow down - you can chat again in ${Math.ceil(data.retryIn / 1000)}s`,
+  );
+});
+
+// Lobby ready-check changed (someone toggled, joined, left or rules changed)
+socket.on("ready-status", (data) => {
+  const wasAutoStarting = autoStartIn !== null;
+
+  readyStatus = {
+    readyCount: data.readyCount,
+    readyNeeded: data.readyNeeded,
+    playerCount: data.playerCount,
+  };
+  autoStartIn = data.autoStartIn;
+  canStart = data.canStart;
+
+  updateMembers(data.members);
+  updateReadyRules(data.readyQuorum, data.autoStart);
+  updateHostControls();
+  updateLobbyStatus();
+
+  if (autoStartIn !== null && !wasAutoStarting) {
+    addLog(
+      `> everyone is ready - race starts in ${Math.ceil(autoStartIn / 1000)}s`,
+    );
+  } else if (autoStartIn === null && wasAutoStarting) {
+    addLog("> auto-start cancelled");
+  }
+});
+
+// Spectator gets a car for the next race
+socket.on("spectator-promoted", (data) => {
+  addLog("> you're on the grid for the next race!");
+
+  saveSession(
+    displayRoom.textContent,
+    displayName.textContent,
+    data.sessionToken,
+  );
+
+  if (typeof Game !== "undefined") {
+    Game.setSpectator(false, data.playerColor);
+  }
+});
+
+// User came back after a dropout
+socket.on("user-rejoined", (data) => {
+  addLog(`> ${data.name} reconnected`);
+  updateMembers(data.members);
+});
+
+// Host changed (previous host left or handed over)
+socket.on("host-changed", (data) => {
+  hostId = data.hostId;
+  isCreator = hostId === myId;
+
+  if (isCreator) {
+    addLog("> you are now the host.");
+  } else {
+    addLog(`> ${data.hostName} is now the host`);
+  }
+
+  updateMembers(data.members);
+  updateHostControls();
 });
 
 // Error handling
@@ -173,16 +434,22 @@ socket.on("game-restarted", (data) => {
     pauseBtn.classList.add("hidden");
   }
 
-  // Show distance selector for host
+  // Show distance and seed selectors for host
   if (isCreator && distanceSelector) {
     distanceSelector.classList.remove("hidden");
   }
+  if (isCreator && seedSelector) {
+    seedSelector.classList.remove("hidden");
+  }
 
   // Show lobby message
   if (lobbyMessage) {
     lobbyMessage.classList.remove("hidden");
   }
 
+  // New course unless the host pinned a seed
+  updateSeedDisplay(data.seed);
+
   // Reset game
   if (typeof Game !== "undefined") {
     Game.reset();
@@ -196,6 +463,12 @@ socket.on("race-countdown", (data) => {
   raceState = "countdown";
   startRaceBtn.classList.add("hidden");
 
+  // Back to the live race
+  if (typeof Game !== "undefined" && Game.isReplaying()) {
+    Game.stopReplay();
+    addLog("> replay closed - race starting");
+  }
+
   if (lobbyMessage) {
     lobbyMessage.classList.add("hidden");
   }
@@ -219,10 +492,13 @@ socket.on("race-started", (data) => {
     pauseBtn.textContent = "[Pause]";
   }
 
-  // Hide distance selector
+  // Hide distance and seed selectors
   if (distanceSelector) {
     distanceSelector.classList.add("hidden");
   }
+  if (seedSelector) {
+    seedSelector.classList.add("hidden");
+  }
 
   if (typeof Game !== "undefined") {
     Game.startRacing(data.raceDistance);
@@ -232,7 +508,16 @@ socket.on("race-started", (data) => {
 // Handle player finished
 socket.on("player-finished", (data) => {
   const timeStr = formatTime(data.time);
-  addLog(`> ${data.name} finished ${getOrdinal(data.position)}! (${timeStr})`);
+  if (data.lastStanding) {
+    addLog(`> ${data.name} is the last car standing and wins! (${timeStr})`);
+  } else {
+    addLog(
+      `> ${data.name} finished ${getOrdinal(data.position)}! (${timeStr})`,
+    );
+  }
+  if (data.personalBest) {
+    addLog(`> PB! ${data.name} is #${data.allTimeRank} all-time`);
+  }
 
   if (typeof Game !== "undefined") {
     Game.playerFinished(data);
@@ -245,9 +530,15 @@ socket.on("race-finished", (data) => {
   addLog("> === RACE FINISHED ===");
 
   data.results.forEach((r) => {
+    if (r.eliminated) {
+      addLog(`> ${getOrdinal(r.position)}: ${r.name} - out at ${r.distance}m`);
+      return;
+    }
     const timeStr = formatTime(r.time);
-    addLog(`> ${getOrdinal(r.position)}: ${r.name} - ${timeStr}`);
+    const rank = r.allTimeRank ? ` (#${r.allTimeRank} all-time)` : "";
+    addLog(`> ${getOrdinal(r.position)}: ${r.name} - ${timeStr}${rank}`);
   });
+  addLog(`> course seed: ${data.seed}`);
 
   // Hide pause button
   if (pauseBtn) {
@@ -260,7 +551,69 @@ socket.on("race-finished", (data) => {
   }
 
   if (typeof Game !== "undefined") {
-    Game.showResults(data.results);
+    Game.showResults(data.results, data.seed);
+  }
+});
+
+// Someone was knocked out of an elimination race
+socket.on("player-eliminated", (data) => {
+  addLog(
+    `> ${data.name} is eliminated at ${data.distance}m (${data.remaining} left)`,
+  );
+  updateMembers(data.members);
+
+  if (data.playerId === myId) {
+    addLog("> you're out - spectating until the next race");
+    if (typeof Game !== "undefined") {
+      Game.setSpectator(true);
+    }
+  }
+});
+
+// Power-ups - log our own pickups and anything that affects everyone
+socket.on("pickup-collected", (data) => {
+  if (data.playerId === myId) {
+    addLog(`> picked up ${data.item} - press space to use it`);
+  }
+});
+
+socket.on("item-used", (data) => {
+  if (data.item === "oil" && data.playerId !== myId) {
+    addLog(`> ${data.name} dropped an oil slick!`);
+  }
+});
+
+socket.on("shield-used", (data) => {
+  addLog(
+    data.playerId === myId
+      ? "> your shield blocked a hit!"
+      : `> ${data.name}'s shield blocked a hit`,
+  );
+});
+
+// Handle race mode changed
+socket.on("race-mode-changed", (data) => {
+  updateRaceMode(data.mode, data.eliminationInterval);
+  if (data.mode === "elimination") {
+    addLog(
+      `> race mode: elimination - last place is out every ${data.eliminationInterval / 1000}s`,
+    );
+  } else if (data.mode === "timetrial") {
+    addLog(`> race mode: time trial - fixed course ${data.seed}, normal rules`);
+  } else {
+    addLog("> race mode: classic - first to the line wins");
+  }
+
+  // Time trials can start solo and pin the course and rules
+  minPlayers = data.minPlayers;
+  const statMinPlayers = document.getElementById("stat-min-players");
+  if (statMinPlayers) statMinPlayers.textContent = minPlayers;
+  updateLobbyStatus();
+  updateSeedDisplay(data.seed, data.seedLocked);
+  updateRules(data.rules, data.rulesPreset);
+
+  if (typeof Game !== "undefined") {
+    Game.setRules(data.rules);
   }
 });
 
@@ -307,6 +660,100 @@ socket.on("race-distance-changed", (data) => {
   }
 });
 
+// Handle race rules changed
+socket.on("race-rules-changed", (data) => {
+  const r = data.rules;
+  addLog(
+    `> race rules: ${RULE_PRESET_NAMES[data.preset]} (stun ${r.stunDuration / 1000}s, top speed ${r.maxGameSpeed}, obstacles every ${r.obstacleSpacing}m)`,
+  );
+  if (data.preset !== "normal") {
+    addLog("> personal bests are only recorded under Normal rules");
+  }
+  updateRules(data.rules, data.preset);
+
+  if (typeof Game !== "undefined") {
+    Game.setRules(data.rules);
+  }
+});
+
+// Handle room visibility changed
+socket.on("room-visibility-changed", (data) => {
+  addLog(
+    data.listed
+      ? "> room is now listed in the public room browser"
+      : "> room is now unlisted - join by code or link only",
+  );
+  if (roomVisibilitySelect) {
+    roomVisibilitySelect.value = data.listed ? "listed" : "unlisted";
+  }
+});
+
+// Handle room capacity changed
+socket.on("max-players-changed", (data) => {
+  maxPlayers = data.maxPlayers;
+  addLog(`> max players set to ${maxPlayers}`);
+  if (maxPlayersSelect) maxPlayersSelect.value = maxPlayers;
+  updateMemberCount();
+});
+
+// Handle course seed changed
+socket.on("race-seed-changed", (data) => {
+  if (data.locked) {
+    addLog(`> course seed set to ${data.seed}`);
+  } else {
+    addLog("> course seed set to random");
+  }
+  updateSeedDisplay(data.seed, data.locked);
+});
+
+// A new replay is available (or an old one dropped off)
+socket.on("replays-updated", (data) => {
+  updateReplays(data.replays);
+});
+
+// Replay requested with [watch] arrived
+socket.on("replay-data", (data) => {
+  if (typeof Game === "undefined") return;
+  Game.startReplay(data);
+  addLog(`> watching replay #${data.id} (${data.raceDistance}m)`);
+  addLog("> space: play/pause, ←/→: switch car, j/l: seek");
+  addLog("> [/]: speed, click timeline to scrub, esc: close");
+});
+
+// Chat input - Enter sends
+if (chatForm) {
+  chatForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+
+    socket.emit("chat-message", { text });
+    chatInput.value = "";
+  });
+}
+
+// Ready button (every racer, in the lobby)
+if (readyBtn) {
+  readyBtn.addEventListener("click", () => {
+    socket.emit("toggle-ready");
+  });
+}
+
+// Ready rules (host only)
+if (readyQuorumSelect) {
+  readyQuorumSelect.addEventListener("change", (e) => {
+    if (!isCreator) return;
+    socket.emit("set-ready-rules", { quorum: parseFloat(e.target.value) });
+  });
+}
+
+if (autoStartSelect) {
+  autoStartSelect.addEventListener("change", (e) => {
+    if (!isCreator) return;
+    socket.emit("set-ready-rules", { autoStart: e.target.value === "on" });
+  });
+}
+
 // Start race button
 if (startRaceBtn) {
   startRaceBtn.addEventListener("click", () => {
@@ -339,32 +786,13 @@ if (pauseBtn) {
 // New room button functionality
 if (newRoomBtn) {
   newRoomBtn.addEventListener("click", () => {
-    // Go back to join screen with a fresh state
-    gameScreen.classList.add("hidden");
-    joinScreen.classList.remove("hidden");
+    socket.emit("leave-room");
 
     // Clear the room code input to encourage a new room
     document.getElementById("room-code").value = "";
 
-    // Clear URL params
-    window.history.replaceState({}, "", window.location.pathname);
-
-    // Reset state
-    isCreator = false;
-    raceState = "waiting";
-    canStart = false;
-
-    // Clear status log
-    statusLog.innerHTML = "<p>> Ready to join a new room...</p>";
-
-    // Hide all buttons
-    startRaceBtn.classList.add("hidden");
-    restartBtn.classList.add("hidden");
-    if (pauseBtn) pauseBtn.classList.add("hidden");
-    if (distanceSelector) distanceSelector.classList.add("hidden");
-
-    // Clear error message
-    errorMsg.textContent = "";
+    leaveRoomScreen();
+    refreshRoomList();
   });
 }
 
@@ -377,6 +805,88 @@ if (raceDistanceSelect) {
   });
 }
 
+// Race mode selector (host only, next to the distance)
+if (raceModeSelect) {
+  const emitRaceMode = () => {
+    if (!isCreator) return;
+    socket.emit("set-race-mode", {
+      mode: raceModeSelect.value,
+      eliminationInterval: parseInt(eliminationIntervalSelect.value),
+    });
+  };
+  raceModeSelect.addEventListener("change", emitRaceMode);
+  eliminationIntervalSelect.addEventListener("change", emitRaceMode);
+}
+
+// Room visibility selector (host only)
+if (roomVisibilitySelect) {
+  roomVisibilitySelect.addEventListener("change", (e) => {
+    if (!isCreator) return;
+    socket.emit("set-room-visibility", { listed: e.target.value === "listed" });
+  });
+}
+
+// Max players selector (host only)
+if (maxPlayersSelect) {
+  maxPlayersSelect.addEventListener("change", (e) => {
+    if (!isCreator) return;
+    socket.emit("set-max-players", { maxPlayers: parseInt(e.target.value) });
+  });
+}
+
+// Add bot button (host only)
+if (addBotBtn) {
+  addBotBtn.addEventListener("click", () => {
+    if (!isCreator) return;
+    socket.emit("add-bot", { skill: botSkillSelect.value });
+  });
+}
+
+// Seed selector (host only)
+if (seedSetBtn) {
+  seedSetBtn.addEventListener("click", () => {
+    if (!isCreator) return;
+    socket.emit("set-race-seed", { seed: raceSeedInput.value.trim() });
+  });
+}
+
+if (seedRandomBtn) {
+  seedRandomBtn.addEventListener("click", () => {
+    if (!isCreator) return;
+    raceSeedInput.value = "";
+    socket.emit("set-race-seed", { seed: "" });
+  });
+}
+
+// Race rules editor (host only)
+if (rulesPresetSelect) {
+  rulesPresetSelect.addEventListener("change", (e) => {
+    if (!isCreator) return;
+    socket.emit("set-race-rules", { preset: e.target.value });
+  });
+}
+
+if (rulesApplyBtn) {
+  rulesApplyBtn.addEventListener("click", () => {
+    if (!isCreator) return;
+
+    // Inputs are in friendlier units - convert back to the server's
+    const requested = {};
+    for (const key in RULE_INPUTS) {
+      const input = document.getElementById(RULE_INPUTS[key].id);
+      const value = parseFloat(input.value);
+      if (Number.isFinite(value)) {
+        requested[key] = value / RULE_INPUTS[key].scale;
+      }
+    }
+    for (const key in RULE_TOGGLE_INPUTS) {
+      const input = document.getElementById(RULE_TOGGLE_INPUTS[key]);
+      if (input) requested[key] = input.checked;
+    }
+    socket.emit("set-race-rules", { rules: requested });
+  });
+}
+
 // Helper: Add log entry
 function addLog(message) {
   const p = document.createElement("p");
@@ -386,51 +896,477 @@ function addLog(message) {
   statusLog.scrollTop = statusLog.scrollHeight;
 }
 
+// Helper: Add a chat line to the log
+function addChat(message) {
+  lastChatTime = Math.max(lastChatTime, message.time);
+
+  const p = document.createElement("p");
+  p.classList.add("chat");
+  const nameSpan = document.createElement("span");
+  nameSpan.classList.add("chat-name");
+  nameSpan.textContent = `[${message.name}] `;
+  p.appendChild(nameSpan);
+  p.appendChild(document.createTextNode(message.text));
+  statusLog.appendChild(p);
+  statusLog.scrollTop = statusLog.scrollHeight;
+}
+
+// Helper: Go back to the join screen with a fresh state
+function leaveRoomScreen() {
+  gameScreen.classList.add("hidden");
+  joinScreen.classList.remove("hidden");
+  hideMemberMenu();
+
+  // Clear URL params
+  window.history.replaceState({}, "", window.location.pathname);
+
+  // Leaving for good - don't auto-resume this room
+  clearSession();
+
+  // Reset state
+  isCreator = false;
+  hostId = null;
+  raceState = "waiting";
+  canStart = false;
+
+  // Clear status log
+  statusLog.innerHTML = "<p>> Ready to join a new room...</p>";
+  lastChatTime = 0;
+
+  // Hide all buttons
+  startRaceBtn.classList.add("hidden");
+  restartBtn.classList.add("hidden");
+  if (pauseBtn) pauseBtn.classList.add("hidden");
+  if (distanceSelector) distanceSelector.classList.add("hidden");
+  if (seedSelector) seedSelector.classList.add("hidden");
+  if (maxPlayersSelector) maxPlayersSelector.classList.add("hidden");
+  if (botSelector) botSelector.classList.add("hidden");
+  if (visibilitySelector) visibilitySelector.classList.add("hidden");
+  if (readySelector) readySelector.classList.add("hidden");
+  if (rulesSelector) rulesSelector.classList.add("hidden");
+
+  // Clear error message
+  errorMsg.textContent = "";
+}
+
 // Helper: Update members list
 function updateMembers(members) {
   membersList.innerHTML = "";
+  memberTotal = members.length;
+  updateMemberCount();
   members.forEach((member) => {
     const li = document.createElement("li");
     li.textContent = member.name;
+    if (member.bot) {
+      li.textContent += ` [bot:${member.bot}]`;
+    }
+
+    // Ready-check marks (racers only, in the lobby)
+    if (raceState === "waiting" && !member.spectator) {
+      li.textContent += member.ready ? " [ready]" : " [not ready]";
+    }
+    if (member.id === myId && readyBtn) {
+      readyBtn.textContent = member.ready ? "[Not Ready]" : "[Ready]";
+      readyBtn.classList.toggle("is-ready", Boolean(member.ready));
+    }
+
+    if (member.disconnected) {
+      li.textContent += " (offline)";
+      li.classList.add("offline");
+    } else if (member.spectator) {
+      li.textContent += " (spectating)";
+      li.classList.add("offline");
+    }
+
+    // Host moderation - right-click anyone else for kick/ban
+    if (isCreator && member.id !== myId) {
+      li.classList.add("moderatable");
+      li.title = "Right-click for host actions";
+      li.addEventListener("contextmenu", (e) => {
+        e.preventDefault();
+        showMemberMenu(member, e.clientX, e.clientY);
+      });
+    }
+
+    if (member.id === hostId) {
+      li.textContent += " [host]";
+    } else if (isCreator && !member.disconnected && !member.bot) {
+      // Host can hand controls to anyone else
+      const transferBtn = document.createElement("button");
+      transferBtn.classList.add("member-action-btn");
+      transferBtn.textContent = "[make host]";
+      transferBtn.addEventListener("click", () => {
+        socket.emit("transfer-host", { targetId: member.id });
+      });
+      li.appendChild(transferBtn);
+    }
+
     membersList.appendChild(li);
   });
 }
 
+// Helper: Open the host's kick/ban menu for a member
+function showMemberMenu(member, x, y) {
+  if (!memberMenu) return;
+
+  memberMenuTarget = member;
+  memberMenuName.textContent = member.name;
+  // Can't hand host controls to someone who is offline; bots can only go
+  const isBot = Boolean(member.bot);
+  memberMenu
+    .querySelector('[data-action="transfer-host"]')
+    .classList.toggle("hidden", Boolean(member.disconnected) || isBot);
+  memberMenu
+    .querySelector('[data-action="kick-player"]')
+    .classList.toggle("hidden", isBot);
+  memberMenu
+    .querySelector('[data-action="ban-player"]')
+    .classList.toggle("hidden", isBot);
+  memberMenu
+    .querySelector('[data-action="remove-bot"]')
+    .classList.toggle("hidden", !isBot);
+  memberMenu.style.left = `${x}px`;
+  memberMenu.style.top = `${y}px`;
+  memberMenu.classList.remove("hidden");
+}
+
+function hideMemberMenu() {
+  if (!memberMenu) return;
+
+  memberMenuTarget = null;
+  memberMenu.classList.add("hidden");
+}
+
+if (memberMenu) {
+  memberMenu.addEventListener("click", (e) => {
+    const action = e.target.dataset.action;
+    if (!action || !memberMenuTarget) return;
+
+    socket.emit(action, { targetId: memberMenuTarget.id });
+    hideMemberMenu();
+  });
+
+  // Any click elsewhere (or Escape) closes the menu
+  document.addEventListener("click", (e) => {
+    if (!memberMenu.contains(e.target)) hideMemberMenu();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") hideMemberMenu();
+  });
+}
+
+// Helper: Render the room's recorded races
+function updateReplays(replays) {
+  if (!replaysList) return;
+
+  replaysList.innerHTML = "";
+  replays
+    .slice()
+    .reverse()
+    .forEach((replay) => {
+      const li = document.createElement("li");
+      const winner = replay.winner ? ` ${replay.winner}` : "";
+      li.textContent = `#${replay.id} ${replay.raceDistance}m${winner} (${formatTime(replay.duration)})`;
+
+      const watchBtn = document.createElement("button");
+      watchBtn.classList.add("member-action-btn");
+      watchBtn.textContent = "[watch]";
+      watchBtn.addEventListener("click", () => {
+        if (raceState !== "waiting" && raceState !== "finished") {
+          addLog("> replays can be watched between races");
+          return;
+        }
+        socket.emit("get-replay", { replayId: replay.id });
+      });
+      li.appendChild(watchBtn);
+
+      replaysList.appendChild(li);
+    });
+
+  if (replaysSection) {
+    replaysSection.classList.toggle("hidden", replays.length === 0);
+  }
+}
+
+// Helper: Show how full the room is
+function updateMemberCount() {
+  if (memberCount) memberCount.textContent = `${memberTotal}/${maxPlayers}`;
+}
+
+// Helper: Fill the max players selector with every allowed capacity
+function buildMaxPlayersOptions(min, limit) {
+  if (!maxPlayersSelect) return;
+
+  maxPlayersSelect.innerHTML = "";
+  for (let count = min; count <= limit; count++) {
+    const option = document.createElement("option");
+    option.value = count;
+    option.textContent = count;
+    maxPlayersSelect.appendChild(option);
+  }
+  maxPlayersSelect.value = maxPlayers;
+}
+
+// Helper: Show/hide host-only controls for the current race state
+function updateHostControls() {
+  const isWaiting = raceState === "waiting";
+  const isRunning = raceState === "racing" || raceState === "paused";
+
+  // Host sees the button all lobby long; it works once enough are ready
+  startRaceBtn.classList.toggle("hidden", !(isCreator && isWaiting));
+  startRaceBtn.disabled = !canStart;
+  restartBtn.classList.toggle(
+    "hidden",
+    !(isCreator && raceState === "finished"),
+  );
+  if (pauseBtn) {
+    pauseBtn.classList.toggle("hidden", !(isCreator && isRunning));
+    pauseBtn.textContent = raceState === "paused" ? "[Resume]" : "[Pause]";
+  }
+  if (distanceSelector) {
+    distanceSelector.classList.toggle("hidden", !(isCreator && isWaiting));
+  }
+  // Time trials always run the same course and rules
+  const canTweakCourse = isCreator && isWaiting && raceMode !== "timetrial";
+  if (seedSelector) {
+    seedSelector.classList.toggle("hidden", !canTweakCourse);
+  }
+  if (maxPlayersSelector) {
+    maxPlayersSelector.classList.toggle("hidden", !(isCreator && isWaiting));
+  }
+  if (botSelector) {
+    botSelector.classList.toggle("hidden", !(isCreator && isWaiting));
+  }
+  if (visibilitySelector) {
+    visibilitySelector.classList.toggle("hidden", !(isCreator && isWaiting));
+  }
+  if (readySelector) {
+    readySelector.classList.toggle("hidden", !(isCreator && isWaiting));
+  }
+  if (rulesSelector) {
+    rulesSelector.classList.toggle("hidden", !canTweakCourse);
+  }
+}
+
+// Helper: Show the host's ready-check settings
+function updateReadyRules(quorum, autoStart) {
+  if (readyQuorumSelect && quorum !== undefined) {
+    readyQuorumSelect.value = String(quorum);
+  }
+  if (autoStartSelect && autoStart !== undefined) {
+    autoStartSelect.value = autoStart ? "on" : "off";
+  }
+}
+
+// Helper: Lobby line - missing players, ready count or auto-start
+function updateLobbyStatus() {
+  if (!lobbyStatus) return;
+
+  const { readyCount, readyNeeded, playerCount } = readyStatus;
+  if (playerCount < minPlayers) {
+    lobbyStatus.textContent = `> Need ${minPlayers - playerCount} more player(s)`;
+  } else if (autoStartIn !== null) {
+    lobbyStatus.textContent = "> Everyone is ready - starting soon!";
+  } else if (readyCount >= readyNeeded) {
+    lobbyStatus.textContent = `> Ready to race! (${readyCount}/${playerCount} ready)`;
+  } else {
+    lobbyStatus.textContent = `> Ready: ${readyCount}/${playerCount} (need ${readyNeeded})`;
+  }
+}
+
+// Room browser - poll the public room list while the join screen is open
+const ROOM_LIST_POLL_MS = 3000;
+
+// Rule inputs in friendlier units (shown value = rule * scale)
+const RULE_INPUTS = {
+  stunDuration: { id: "rule-stun", scale: 0.001 }, // seconds
+  speedIncrement: { id: "rule-speed-ramp", scale: 1800 }, // per minute at 30 TPS
+  maxGameSpeed: { id: "rule-max-speed", scale: 1 },
+  roadExpansionInterval: { id: "rule-road-interval", scale: 0.001 }, // seconds
+  roadExpansionRate: { id: "rule-road-rate", scale: 1 },
+  obstacleSpacing: { id: "rule-spacing", scale: 1 }, // meters
+  countdownSeconds: { id: "rule-countdown", scale: 1 },
+};
+// On/off rules shown as checkboxes
+const RULE_TOGGLE_INPUTS = {
+  carCollisions: "rule-car-collisions",
+};
+const RULE_PRESET_NAMES = {
+  easy: "Easy",
+  normal: "Normal",
+  chaos: "Chaos",
+  custom: "Custom",
+};
+
+// Helper: Show the room's race rules (host editor and race info)
+function updateRules(rules, preset) {
+  if (!rules) return;
+
+  const statRules = document.getElementById("stat-rules");
+  if (statRules) statRules.textContent = RULE_PRESET_NAMES[preset] || "Custom";
+  if (rulesPresetSelect) rulesPresetSelect.value = preset;
+
+  for (const key in RULE_INPUTS) {
+    const input = document.getElementById(RULE_INPUTS[key].id);
+    if (input) {
+      input.value = Number((rules[key] * RULE_INPUTS[key].scale).toFixed(3));
+    }
+  }
+  for (const key in RULE_TOGGLE_INPUTS) {
+    const input = document.getElementById(RULE_TOGGLE_INPUTS[key]);
+    if (input) input.checked = Boolean(rules[key]);
+  }
+}
+
+// Helper: Match the rule inputs to the server's allowed ranges
+function setRuleLimits(limits) {
+  if (!limits) return;
+
+  for (const key in RULE_INPUTS) {
+    const input = document.getElementById(RULE_INPUTS[key].id);
+    if (input && limits[key]) {
+      input.min = limits[key][0] * RULE_INPUTS[key].scale;
+      input.max = limits[key][1] * RULE_INPUTS[key].scale;
+    }
+  }
+}
+
+function refreshRoomList() {
+  if (joinScreen.classList.contains("hidden")) return;
+
+  fetch("/api/rooms")
+    .then((res) => res.json())
+    .then((data) => renderRoomList(data.rooms))
+    .catch(() => {
+      // Keep showing the last list until the server answers again
+    });
+}
+
+function renderRoomList(rooms) {
+  if (!roomList) return;
+
+  roomList.innerHTML = "";
+  if (rooms.length === 0) {
+    const li = document.createElement("li");
+    li.classList.add("room-list-empty");
+    li.textContent = "no public rooms - start one above";
+    roomList.appendChild(li);
+    return;
+  }
+
+  rooms.forEach((room) => {
+    const li = document.createElement("li");
+    li.classList.add("room-entry");
+    const lock = room.private ? " [locked]" : "";
+    li.textContent = `${room.roomCode}${lock} - host: ${room.hostName || "-"} - ${room.playerCount}/${room.maxPlayers} - ${room.raceState} - ${room.raceDistance}m`;
+    li.addEventListener("click", () => joinFromRoomList(room));
+    roomList.appendChild(li);
+  });
+}
+
+// Fill in the room code and join (or ask for what's still missing)
+function joinFromRoomList(room) {
+  document.getElementById("room-code").value = room.roomCode;
+  const nameInput = document.getElementById("name");
+  const passwordInput = document.getElementById("room-password");
+
+  if (!nameInput.value.trim()) {
+    errorMsg.textContent = "> enter a name to join";
+    nameInput.focus();
+    return;
+  }
+  if (room.private && !passwordInput.value) {
+    errorMsg.textContent = "> this room needs a password";
+    passwordInput.focus();
+    return;
+  }
+  joinForm.requestSubmit();
+}
+
+refreshRoomList();
+setInterval(refreshRoomList, ROOM_LIST_POLL_MS);
+
+// Helper: Show the current course seed (and pin it in the host input)
+function updateSeedDisplay(seed, locked) {
+  const statCourse = document.getElementById("stat-course");
+  if (statCourse) statCourse.textContent = seed || "-";
+  if (raceSeedInput && locked !== undefined) {
+    raceSeedInput.value = locked ? seed : "";
+  }
+}
+
 // Share button functionality
 if (shareBtn) {
   shareBtn.addEventListener("click", () => {
     const roomCode = displayRoom.textContent;
     const shareUrl = `${window.location.origin}${window.location.pathname}?room=${roomCode}`;
+    copyToClipboard(shareUrl, shareBtn);
+  });
+}
 
-    navigator.clipboard
-      .writeText(shareUrl)
-      .then(() => {
-        const originalText = shareBtn.textContent;
-        shareBtn.textContent = "[Copied!]";
-        shareBtn.classList.add("copied");
-
-        setTimeout(() => {
-          shareBtn.textContent = originalText;
-          shareBtn.classList.remove("copied");
-        }, 2000);
-      })
-      .catch(() => {
-        // Fallback for older browsers
-        const textArea = document.createElement("textarea");
-        textArea.value = shareUrl;
-        document.body.appendChild(textArea);
-        textArea.select();
-        document.execCommand("copy");
-        document.body.removeChild(textArea);
-
-        shareBtn.textContent = "[Copied!]";
-        setTimeout(() => {
-          shareBtn.textContent = "[Share Link]";
-        }, 2000);
-      });
+// Helper: Copy a link and flash "[Copied!]" on the button that asked for it
+function copyToClipboard(text, button) {
+  const originalText = button.textContent;
+  const showCopied = () => {
+    button.textContent = "[Copied!]";
+    button.classList.add("copied");
+
+    setTimeout(() => {
+      button.textContent = originalText;
+      button.classList.remove("copied");
+    }, 2000);
+  };
+
+  navigator.clipboard
+    .writeText(text)
+    .then(showCopied)
+    .catch(() => {
+      // Fallback for older browsers
+      const textArea = document.createElement("textarea");
+      textArea.value = text;
+      document.body.appendChild(textArea);
+      textArea.select();
+      document.execCommand("copy");
+      document.body.removeChild(textArea);
+      showCopied();
+    });
+}
+
+// Invite link button (private rooms only) - each link works once
+if (inviteBtn) {
+  inviteBtn.addEventListener("click", () => {
+    socket.emit("create-invite");
   });
 }
 
+socket.on("invite-created", (data) => {
+  const inviteUrl = `${window.location.origin}${window.location.pathname}?room=${data.roomCode}&invite=${data.inviteToken}`;
+  copyToClipboard(inviteUrl, inviteBtn);
+  addLog("> invite link copied - it can be used once");
+});
+
+// Helpers: Persist the reconnect session for this tab
+const SESSION_KEY = "neonRacerSession";
+
+function saveSession(roomCode, name, token) {
+  sessionStorage.setItem(
+    SESSION_KEY,
+    JSON.stringify({ roomCode, name, token }),
+  );
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
 // Helper: Format time in mm:ss.ms
 function formatTime(ms) {
   const totalSeconds = Math.floor(ms / 1000);
@@ -460,13 +1396,35 @@ function updateRaceInfo(playerCount, raceDistance) {
   if (statStatus) statStatus.textContent = "Waiting";
 
   // Update lobby status
-  if (lobbyStatus) {
-    if (playerCount >= minPlayers) {
-      lobbyStatus.textContent = "> Ready to race!";
+  readyStatus.playerCount = playerCount || 0;
+  updateLobbyStatus();
+}
+
+// Helper: Show the race mode (and the host's mode selector)
+function updateRaceMode(mode, eliminationInterval) {
+  raceMode = mode || "classic";
+  const elimination = raceMode === "elimination";
+  const statMode = document.getElementById("stat-mode");
+  if (statMode) {
+    if (elimination) {
+      statMode.textContent = `Elimination (${eliminationInterval / 1000}s)`;
+    } else if (raceMode === "timetrial") {
+      statMode.textContent = "Time Trial";
     } else {
-      lobbyStatus.textContent = `> Need ${minPlayers - playerCount} more player(s)`;
+      statMode.textContent = "Classic";
     }
   }
+
+  if (raceModeSelect) raceModeSelect.value = raceMode;
+  if (eliminationIntervalSelect) {
+    eliminationIntervalSelect.value = String(eliminationInterval);
+    eliminationIntervalSelect.classList.toggle("hidden", !elimination);
+  }
+  updateHostControls();
+
+  if (typeof Game !== "undefined") {
+    Game.setRaceMode(raceMode);
+  }
 }
 
 // Helper: Update player count
@@ -475,51 +1433,8 @@ function updatePlayerCount(count) {
   if (statPlayers) statPlayers.textContent = count || 0;
 
   // Update lobby status
-  if (lobbyStatus) {
-    if (count >= minPlayers) {
-      lobbyStatus.textContent = "> Ready to race!";
-    } else {
-      lobbyStatus.textContent = `> Need ${minPlayers - count} more player(s)`;
-    }
-  }
-}
-
-// New room button (available to everyone)
-if (newRoomBtn) {
-  newRoomBtn.addEventListener("click", () => {
-    // Go back to join screen with a fresh state
-    gameScreen.classList.add("hidden");
-    joinScreen.classList.remove("hidden");
-
-    // Generate a new room code
-    const newRoomCode = Math.random()
-      .toString(36)
-      .substring(2, 8)
-      .toUpperCase();
-    document.getElementById("room-code").value = newRoomCode;
-
-    // Clear URL params
-    window.history.replaceState({}, "", window.location.pathname);
-
-    // Reset state
-    isCreator = false;
-    raceState = "waiting";
-    canStart = false;
-
-    // Clear status log
-    statusLog.innerHTML = "<p>> Ready to join a new room...</p>";
-
-    // Hide all buttons
-    startRaceBtn.classList.add("hidden");
-    restartBtn.classList.add("hidden");
-    if (pauseBtn) pauseBtn.classList.add("hidden");
-    if (distanceSelector) distanceSelector.classList.add("hidden");
-
-    // Clear error message
-    errorMsg.textContent = "";
-
-    addLog(`> new room code: ${newRoomCode}`);
-  });
+  readyStatus.playerCount = count || 0;
+  updateLobbyStatus();
 }
 
 // Pause button (host only)
@@ -0,0 +1,193 @@
+/**
+ * Neon Racer - Seeded Course Generation
+ * Shared by the server and the browser so both build the same track.
+ * @created by therampatil
+ */
+
+const Course = (function () {
+  // Seed settings
+  const SEED_LENGTH = 6; // Characters in a generated seed
+  const MAX_SEED_LENGTH = 12; // Longest seed a host can type
+  const SEED_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O or 1/I
+
+  // Obstacle layout
+  const OBSTACLE_SPACING = 100; // worldY pixels between obstacles (50m)
+  const FIRST_OBSTACLE_SLOT = 2; // Leave the start line clear
+
+  // Pickup layout - some gaps between obstacles hold a power-up
+  const PICKUP_TYPES = ["shield", "nitro", "oil"];
+  const PICKUP_CHANCE = 0.12; // Share of obstacle gaps with a pickup
+  const PICKUP_STREAM = 0x85ebca6b; // Keeps pickup rolls apart from obstacles
+
+  /**
+   * Generate a random, readable seed
+   * @returns {string} - A new seed such as "K7QX2M"
+   */
+  function randomSeed() {
+    let seed = "";
+    for (let i = 0; i < SEED_LENGTH; i++) {
+      seed += SEED_CHARS[Math.floor(Math.random() * SEED_CHARS.length)];
+    }
+    return seed;
+  }
+
+  /**
+   * Clean up a user-entered seed
+   * @param {string} input - Raw seed text
+   * @returns {string|null} - Uppercase alphanumeric seed, or null if empty
+   */
+  function normalizeSeed(input) {
+    if (typeof input !== "string") return null;
+    const seed = input
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .substring(0, MAX_SEED_LENGTH);
+    return seed || null;
+  }
+
+  // FNV-1a hash of the seed string to a 32-bit integer
+  function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Mulberry32 PRNG - small, fast and identical in every JS engine
+  function mulberry32(state) {
+    return function () {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Build the obstacle at a given slot of the course
+   * @param {string} seed - The race seed
+   * @param {number} index - Obstacle slot (0 = first obstacle after the start)
+   * @param {number} spacing - worldY pixels between obstacles
+   * @returns {{id: number, x: number, worldY: number}} - Normalized x, world Y
+   */
+  function getObstacle(seed, index, spacing = OBSTACLE_SPACING) {
+    // Each slot gets its own stream so obstacles can be built in any order
+    const rng = mulberry32(hashSeed(seed) ^ Math.imul(index + 1, 0x9e3779b1));
+
+    // Distribute obstacles across the FULL road width including edges
+    let x;
+    const zoneRoll = rng();
+    if (zoneRoll < 0.25) {
+      // Left edge zone (0.02 - 0.25)
+      x = rng() * 0.23 + 0.02;
+    } else if (zoneRoll < 0.5) {
+      // Right edge zone (0.75 - 0.98)
+      x = rng() * 0.23 + 0.75;
+    } else {
+      // Center zone (0.25 - 0.75)
+      x = rng() * 0.5 + 0.25;
+    }
+
+    return {
+      id: index,
+      x: x,
+      worldY: -(index + FIRST_OBSTACLE_SLOT) * spacing,
+    };
+  }
+
+  /**
+   * Build every obstacle between two world Y positions
+   * @param {string} seed - The race seed
+   * @param {number} topWorldY - Furthest-ahead world Y (more negative)
+   * @param {number} bottomWorldY - Furthest-behind world Y
+   * @param {number} spacing - worldY pixels between obstacles
+   * @returns {Array} - Obstacles in the range, nearest first
+   */
+  function getObstaclesInRange(
+    seed,
+    topWorldY,
+    bottomWorldY,
+    spacing = OBSTACLE_SPACING,
+  ) {
+    const first = Math.max(
+      0,
+      Math.ceil(-bottomWorldY / spacing) - FIRST_OBSTACLE_SLOT,
+    );
+    const last = Math.floor(-topWorldY / spacing) - FIRST_OBSTACLE_SLOT;
+
+    const result = [];
+    for (let i = first; i <= last; i++) {
+      result.push(getObstacle(seed, i, spacing));
+    }
+    return result;
+  }
+
+  /**
+   * Build the pickup (if any) in the gap after an obstacle slot
+   * @param {string} seed - The race seed
+   * @param {number} index - Obstacle slot the pickup follows
+   * @param {number} spacing - worldY pixels between obstacles
+   * @returns {{id: number, type: string, x: number, worldY: number}|null}
+   */
+  function getPickup(seed, index, spacing = OBSTACLE_SPACING) {
+    const rng = mulberry32(
+      (hashSeed(seed) ^ Math.imul(index + 1, 0x9e3779b1) ^ PICKUP_STREAM) >>> 0,
+    );
+    if (rng() >= PICKUP_CHANCE) return null;
+
+    return {
+      id: index,
+      type: PICKUP_TYPES[Math.floor(rng() * PICKUP_TYPES.length)],
+      x: rng() * 0.9 + 0.05,
+      // Halfway between this obstacle and the next
+      worldY: -(index + FIRST_OBSTACLE_SLOT + 0.5) * spacing,
+    };
+  }
+
+  /**
+   * Build every pickup between two world Y positions
+   * @param {string} seed - The race seed
+   * @param {number} topWorldY - Furthest-ahead world Y (more negative)
+   * @param {number} bottomWorldY - Furthest-behind world Y
+   * @param {number} spacing - worldY pixels between obstacles
+   * @returns {Array} - Pickups in the range, nearest first
+   */
+  function getPickupsInRange(
+    seed,
+    topWorldY,
+    bottomWorldY,
+    spacing = OBSTACLE_SPACING,
+  ) {
+    const first = Math.max(
+      0,
+      Math.ceil(-bottomWorldY / spacing - 0.5) - FIRST_OBSTACLE_SLOT,
+    );
+    const last = Math.floor(-topWorldY / spacing - 0.5) - FIRST_OBSTACLE_SLOT;
+
+    const result = [];
+    for (let i = first; i <= last; i++) {
+      const pickup = getPickup(seed, i, spacing);
+      if (pickup) result.push(pickup);
+    }
+    return result;
+  }
+
+  // Public API
+  return {
+    OBSTACLE_SPACING,
+    PICKUP_TYPES,
+    randomSeed,
+    normalizeSeed,
+    getObstacle,
+    getObstaclesInRange,
+    getPickup,
+    getPickupsInRange,
+  };
+})();
+
+// Allow the server to require this file
+if (typeof module !== "undefined") {
+  module.exports = Course;
+}
@@ -10,6 +10,7 @@ const Game = (function () {
   let stealthMode = false;
   let socket = null;
   let playerId = null;
+  let listenersReady = false; // Input/socket listeners are bound once
 
   // Camera system - follows player in world coordinates
   const camera = {
@@ -49,7 +50,7 @@ const Game = (function () {
     color: "#33ff33",
     x: 0, // Screen X position
     worldY: 0, // Absolute world Y position (grows indefinitely)
-    speed: 5,
+    speed: 5, // Sideways pixels per physics step (must match server)
     distance: 0, // Distance traveled in meters
   };
 
@@ -59,9 +60,23 @@ const Game = (function () {
   // Other players from server
   let otherPlayers = {};
   let obstacles = [];
-  let leaderboard = [];
+  let course = null; // { seed, spacing } - obstacles are rebuilt from this
+  const LEADERBOARD_SIZE = 5;
+  const RESULTS_TOP = 50; // Top of the results box
+  const RESULTS_ROW_HEIGHT = 30;
+  const RESULTS_MIN_ROW_HEIGHT = 18; // Smallest rows still readable at 14px
+  const OBSTACLE_BUILD_MARGIN = 200; // Extra world Y built beyond the screen
   const MAX_RENDER_DISTANCE = 500; // meters
 
+  // Power-ups - pickups come from the seed, the server says which are gone
+  const PICKUP_SIZE = 20;
+  const OIL_SLICK_SIZE = 30;
+  const ITEM_COLORS = { shield: "#33ccff", nitro: "#ff9900", oil: "#cc66ff" };
+  const ITEM_LABELS = { shield: "S", nitro: "N", oil: "O" };
+  let pickups = [];
+  let takenPickups = []; // Pickup ids someone has collected
+  let oilSlicks = []; // [{ id, x, worldY }] dropped by racers
+
   // Screen position where player car is rendered (near bottom)
   const PLAYER_SCREEN_Y_OFFSET = 100; // pixels from bottom
 
@@ -72,6 +87,14 @@ const Game = (function () {
   let isStunned = false;
   let stunnedUntil = 0;
   const STUN_DURATION = 2000; // 2 seconds
+  let stunDuration = STUN_DURATION; // From the room's race rules
+
+  // Screen shake after another car bumps us
+  let shakeUntil = 0;
+  const SHAKE_DURATION = 300; // ms
+  const SHAKE_STRENGTH = 6; // Max pixel offset, easing out over the shake
+  const REAR_BUMP_SLOWDOWN = 0.5; // Share of speed kept after rear-ending a car
+  let bumpSeq = 0; // Latest bump from the server we've applied
 
   // Game state
   let scrollSpeed = 2;
@@ -87,9 +110,19 @@ const Game = (function () {
     boost: false,
   };
 
-  // Boost settings
+  // Boost settings (energy rates must match the server)
   const BOOST_MULTIPLIER = 1.5;
+  const BOOST_ENERGY_MAX = 100;
+  const BOOST_DRAIN_PER_SECOND = 40;
+  const BOOST_RECHARGE_PER_SECOND = 15;
   let isBoosting = false;
+  let boostEnergy = BOOST_ENERGY_MAX; // Drained by boosting, emptied by stuns
+
+  // Physics runs at a fixed 60 steps per second regardless of refresh rate
+  // (server movement validation assumes this rate)
+  const PHYSICS_STEP_MS = 1000 / 60;
+  const MAX_FRAME_STEPS = 3; // Don't jump far after a stalled frame
+  let lastFrameTime = 0;
 
   // Boost animation particles
   let boostParticles = [];
@@ -99,12 +132,40 @@ const Game = (function () {
   let raceDistance = 1000; // meters to finish
   let countdownValue = 0;
   let raceTime = 0;
+  let raceMode = "classic"; // classic, elimination, timetrial
+  let nextEliminationTime = null; // Race time of the next knockout (elimination mode)
   let finalRaceTime = 0; // Time when race ended (for display)
   let playerFinishedData = null;
   let raceResults = null;
+  let resultsSeed = null;
   let myPosition = null;
   let myFinished = false; // Track if THIS player has finished
 
+  // Spectator state (late joiners watch until the next race)
+  let isSpectator = false;
+  let spectateTargetId = null; // null = follow the leader
+
+  // Ghost car - our best run on this course, kept in localStorage
+  const GHOST_STORAGE_KEY = "neonRacerGhosts";
+  const MAX_SAVED_GHOSTS = 20; // Least recently set runs are dropped
+  const GHOST_SAMPLE_MS = 100; // Race time between recorded samples
+  const GHOST_ALPHA = 0.35;
+  let ghost = null; // { time, samples: [[t, x, dy, distance]] } being chased
+  let ghostTrace = null; // This race's samples, saved if it beats the ghost
+  let ghostStartWorldY = 0; // Our worldY when the race started
+
+  // Time-trial splits - the course is cut into equal sections
+  const SPLIT_COUNT = 5;
+  let splits = []; // [{ time, delta }] per section, the last one at the finish
+
+  // Replay viewer state (null = showing the live room)
+  let replay = null;
+  const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+  const REPLAY_SEEK_MS = 5000; // J/L jump
+  const REPLAY_EVENT_SHOW_MS = 3000; // How long timeline events stay listed
+  const REPLAY_TIMELINE_HEIGHT = 8;
+  const REPLAY_TIMELINE_MARGIN = 40; // Timeline inset from the canvas edges
+
   // Initialize the game
   function init(
     canvasElement,
@@ -113,6 +174,7 @@ const Game = (function () {
     color,
     spawnWorldY = 0,
     distance = 1000,
+    resumeState = null,
   ) {
     canvas = canvasElement;
     ctx = canvas.getContext("2d");
@@ -127,13 +189,24 @@ const Game = (function () {
 
     // Set canvas size
     resizeCanvas();
-    window.addEventListener("resize", resizeCanvas);
 
     // Initialize player position (screen X centered, world Y at spawn position)
     player.x = canvas.width / 2 - player.width / 2;
     player.worldY = spawnWorldY || 0;
     player.distance = Math.abs(player.worldY) / PIXELS_PER_METER;
 
+    myFinished = false;
+    myPosition = null;
+
+    // Pick up mid-race after a reconnect
+    if (resumeState) {
+      const roadLeft = canvas.width / 2 - road.width / 2;
+      player.x = roadLeft + resumeState.x * (road.width - player.width);
+      player.distance = resumeState.distance;
+      myFinished = resumeState.finished;
+      myPosition = resumeState.position;
+    }
+
     // Initialize camera to follow player (offset so player appears near bottom)
     const initialCameraY =
       player.worldY - (canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET);
@@ -143,11 +216,17 @@ const Game = (function () {
     // Clear boost particles
     boostParticles = [];
 
-    // Setup input listeners
-    setupInputListeners();
+    // Listeners survive reconnects, so only bind them the first time
+    if (!listenersReady) {
+      // Setup input listeners
+      setupInputListeners();
+
+      // Setup socket listeners for game state
+      setupSocketListeners();
 
-    // Setup socket listeners for game state
-    setupSocketListeners();
+      window.addEventListener("resize", resizeCanvas);
+      listenersReady = true;
+    }
 
     console.log("Game initialized at worldY:", spawnWorldY);
   }
@@ -157,6 +236,7 @@ const Game = (function () {
     player.x = canvas.width / 2 - player.width / 2;
     player.worldY = 0;
     player.distance = 0;
+    shakeUntil = 0;
 
     const initialCameraY =
       player.worldY - (canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET);
@@ -169,16 +249,25 @@ const Game = (function () {
     isBoosting = false;
     boostParticles = [];
     obstacles = [];
+    pickups = [];
+    takenPickups = [];
+    oilSlicks = [];
+    boostEnergy = BOOST_ENERGY_MAX;
 
     // Reset race state
     raceState = "waiting";
     countdownValue = 0;
     raceTime = 0;
+    nextEliminationTime = null;
     finalRaceTime = 0;
     playerFinishedData = null;
     raceResults = null;
+    resultsSeed = null;
     myPosition = null;
     myFinished = false;
+    ghost = null;
+    ghostTrace = null;
+    splits = [];
 
     console.log("Game reset");
   }
@@ -194,20 +283,36 @@ const Game = (function () {
     raceState = "racing";
     raceDistance = distance || 1000;
     countdownValue = 0;
+
+    // Chase our best run on this course and record this one
+    ghost = isSpectator ? null : loadGhost(getGhostKey());
+    ghostTrace = isSpectator ? null : [];
+    ghostStartWorldY = player.worldY;
+    splits = [];
+    boostEnergy = BOOST_ENERGY_MAX;
   }
 
   // Called when a player finishes
   function playerFinished(data) {
-    if (data.name === (otherPlayers[playerId]?.name || "You")) {
+    if (data.playerId === playerId) {
       myPosition = data.position;
       myFinished = true; // This player has finished - stop their movement
+      playerFinishedData = data;
+      if (raceMode === "timetrial") {
+        recordSplit(SPLIT_COUNT - 1, data.time);
+      }
+      // Winning an elimination race early isn't a full run to chase
+      if (!data.lastStanding) {
+        saveGhostIfFaster(data.time);
+      }
     }
   }
 
   // Called when race ends
-  function showResults(results) {
+  function showResults(results, seed) {
     raceState = "finished";
     raceResults = results;
+    resultsSeed = seed || null;
     finalRaceTime = raceTime; // Freeze the time display
   }
 
@@ -220,40 +325,148 @@ const Game = (function () {
     }
   }
 
+  // Called when joining as a spectator or being promoted to racer
+  function setSpectator(spectating, color) {
+    isSpectator = spectating;
+    spectateTargetId = null;
+    if (color) {
+      player.color = color;
+    }
+  }
+
   // Called when race distance is changed (before race starts)
   function setRaceDistance(distance) {
     raceDistance = distance || 1000;
   }
 
+  // Called when the host switches race mode (before race starts)
+  function setRaceMode(mode) {
+    raceMode = mode || "classic";
+  }
+
+  // Room rules set by the host (speed, road and spacing arrive with game-state)
+  function setRules(rules) {
+    stunDuration = (rules && rules.stunDuration) || STUN_DURATION;
+  }
+
   function setupSocketListeners() {
     if (!socket) return;
 
+    // Full snapshot (keyframe) - replaces everything we know
     socket.on("game-state", (data) => {
       otherPlayers = data.players;
-      obstacles = data.obstacles || [];
-      leaderboard = data.leaderboard || [];
+      applyRoomState(data);
+    });
 
-      // Update target road width for smooth lerping
-      if (data.roadWidth && data.roadWidth !== road.targetWidth) {
-        road.targetWidth = data.roadWidth;
+    // Per-tick delta - only what changed since the last tick
+    socket.on("game-state-delta", (data) => {
+      for (const id in data.players) {
+        otherPlayers[id] = Object.assign(
+          otherPlayers[id] || {},
+          data.players[id],
+        );
       }
+      for (const id of data.removed || []) {
+        delete otherPlayers[id];
+      }
+      applyRoomState(data);
+    });
 
-      // Update server-controlled speed (0 when not racing)
-      serverSpeed = data.gameSpeed || 0;
-
-      // Update race state from server
-      if (data.raceState) {
-        raceState = data.raceState;
+    // Server detected an obstacle hit - stun us or flicker another car
+    socket.on("player-stunned", (data) => {
+      if (data.playerId === playerId) {
+        triggerStun(data.duration);
+      } else if (otherPlayers[data.playerId]) {
+        otherPlayers[data.playerId].stunned = true;
       }
-      if (data.raceDistance) {
-        raceDistance = data.raceDistance;
+    });
+
+    // A nitro refills our boost meter
+    socket.on("item-used", (data) => {
+      if (data.playerId === playerId && data.item === "nitro") {
+        boostEnergy = BOOST_ENERGY_MAX;
       }
-      if (data.raceTime) {
-        raceTime = data.raceTime;
+    });
+
+    // Server rejected an impossible move - snap back to the legal position
+    socket.on("position-corrected", (data) => {
+      const roadLeft = canvas.width / 2 - road.width / 2;
+      player.x = roadLeft + data.x * (road.width - player.width);
+      player.worldY = data.worldY;
+      player.distance = data.distance;
+    });
+
+    // Car-to-car contact - take the server's shove and shake the view
+    socket.on("cars-bumped", (data) => {
+      if (!data.playerIds.includes(playerId)) return;
+
+      const position = data.positions[playerId];
+      if (position) {
+        // Shoved sideways by the server's road width, whatever ours is
+        // while it catches up
+        if (position.dx !== undefined) {
+          const roadLeft = canvas.width / 2 - road.width / 2;
+          const roadRight = canvas.width / 2 + road.width / 2;
+          player.x += position.dx * (data.roadWidth - player.width);
+          player.x = Math.max(
+            roadLeft,
+            Math.min(roadRight - player.width, player.x),
+          );
+        }
+
+        // We ran into the car ahead - knocked back and slowed down
+        if (position.worldY !== undefined) {
+          player.worldY = position.worldY;
+          player.distance = position.distance;
+          scrollSpeed *= REAR_BUMP_SLOWDOWN;
+        }
+        bumpSeq = position.bumpSeq;
       }
+      shakeUntil = Date.now() + SHAKE_DURATION;
     });
   }
 
+  // Apply room-level fields from a keyframe or delta (absent = unchanged)
+  function applyRoomState(data) {
+    // Update target road width for smooth lerping
+    if (data.roadWidth && data.roadWidth !== road.targetWidth) {
+      road.targetWidth = data.roadWidth;
+    }
+
+    // Update server-controlled speed (0 when not racing)
+    if (data.gameSpeed !== undefined) {
+      serverSpeed = data.gameSpeed;
+    }
+
+    // Update race state from server
+    if (data.raceState) {
+      raceState = data.raceState;
+    }
+    if (data.raceDistance) {
+      raceDistance = data.raceDistance;
+    }
+    if (data.raceTime) {
+      raceTime = data.raceTime;
+    }
+    if (data.nextEliminationTime !== undefined) {
+      nextEliminationTime = data.nextEliminationTime;
+    }
+    if (data.takenPickups) {
+      takenPickups = data.takenPickups;
+    }
+    if (data.oilSlicks) {
+      oilSlicks = data.oilSlicks;
+    }
+
+    // Course used to rebuild obstacles
+    if (data.seed || data.obstacleSpacing) {
+      course = {
+        seed: data.seed || course.seed,
+        spacing: data.obstacleSpacing || course.spacing,
+      };
+    }
+  }
+
   function resizeCanvas() {
     const container = canvas.parentElement;
     canvas.width = container.clientWidth;
@@ -294,6 +507,21 @@ const Game = (function () {
 
   function setupInputListeners() {
     document.addEventListener("keydown", (e) => {
+      // Typing in chat or a lobby field shouldn't steer the car
+      if (isTextInput(e.target)) return;
+
+      // Replay viewer has its own controls
+      if (replay && handleReplayKey(e.key.toLowerCase())) {
+        e.preventDefault();
+        return;
+      }
+
+      // Spectators use the steering keys to pick who to watch
+      if (isSpectator && handleSpectatorKey(e.key.toLowerCase())) {
+        e.preventDefault();
+        return;
+      }
+
       switch (e.key.toLowerCase()) {
         case "arrowleft":
         case "a":
@@ -310,6 +538,12 @@ const Game = (function () {
           keys.boost = true;
           e.preventDefault();
           break;
+        case " ":
+        case "arrowdown":
+        case "s":
+          useItem();
+          e.preventDefault();
+          break;
         case "h":
           toggleStealthMode();
           e.preventDefault();
@@ -333,6 +567,53 @@ const Game = (function () {
           break;
       }
     });
+
+    // Click or drag along the replay timeline to scrub
+    let scrubbing = false;
+    canvas.addEventListener("mousedown", (e) => {
+      scrubbing = replay !== null && seekReplayToPointer(e, true);
+    });
+    canvas.addEventListener("mousemove", (e) => {
+      if (scrubbing) seekReplayToPointer(e, false);
+    });
+    document.addEventListener("mouseup", () => {
+      scrubbing = false;
+    });
+  }
+
+  // Ask the server to fire our held power-up
+  function useItem() {
+    if (!socket || isSpectator || raceState !== "racing" || myFinished) return;
+    if (!otherPlayers[playerId]?.item) return;
+    socket.emit("use-item");
+  }
+
+  function isTextInput(target) {
+    return (
+      target &&
+      (target.tagName === "INPUT" ||
+        target.tagName === "TEXTAREA" ||
+        target.tagName === "SELECT")
+    );
+  }
+
+  // Returns true if the key was used for spectating
+  function handleSpectatorKey(key) {
+    switch (key) {
+      case "arrowleft":
+      case "a":
+        cycleSpectateTarget(-1);
+        return true;
+      case "arrowright":
+      case "d":
+        cycleSpectateTarget(1);
+        return true;
+      case "arrowup":
+      case "w":
+        spectateTargetId = null;
+        return true;
+    }
+    return false;
   }
 
   function toggleStealthMode() {
@@ -358,6 +639,19 @@ const Game = (function () {
   function update() {
     const now = Date.now();
 
+    // Scale movement by elapsed physics steps so speed is frame-rate independent
+    const frameSteps = lastFrameTime
+      ? Math.min((now - lastFrameTime) / PHYSICS_STEP_MS, MAX_FRAME_STEPS)
+      : 1;
+    lastFrameTime = now;
+
+    // Replays drive the camera themselves - the live room keeps syncing
+    // in the background
+    if (replay) {
+      updateReplay(now);
+      return;
+    }
+
     // Only allow movement during racing state AND if player hasn't finished
     const canMove = raceState === "racing" && !myFinished;
 
@@ -376,12 +670,22 @@ const Game = (function () {
       }
     }
 
+    // Rebuild the obstacles around the camera from the race seed
+    updateObstacles();
+
+    // Spectators have no car - the camera follows a racer instead
+    if (isSpectator) {
+      updateSpectatorCamera();
+      updateStatsDisplay();
+      return;
+    }
+
     // Sync scroll speed with server (with slight local smoothing)
     if (!isStunned && canMove) {
       scrollSpeed += (serverSpeed - scrollSpeed) * 0.1;
 
-      // Apply boost if holding up arrow/W
-      isBoosting = keys.boost && !isStunned && canMove;
+      // Apply boost if holding up arrow/W and there's energy to burn
+      isBoosting = keys.boost && boostEnergy > 0 && !isStunned && canMove;
 
       // Generate boost particles when boosting
       if (isBoosting) {
@@ -422,32 +726,49 @@ const Game = (function () {
     // Update world position - only if not stunned AND racing
     if (!isStunned && canMove) {
       // Move player forward in world Y (negative = moving up/forward)
-      player.worldY -= effectiveSpeed * PIXELS_PER_METER;
+      player.worldY -= effectiveSpeed * PIXELS_PER_METER * frameSteps;
 
       // Update distance traveled (convert scroll speed to meters)
-      player.distance += effectiveSpeed * 0.1;
+      player.distance += effectiveSpeed * 0.1 * frameSteps;
+
+      // Boosting drains the meter, anything else slowly refills it
+      const seconds = (frameSteps * PHYSICS_STEP_MS) / 1000;
+      boostEnergy = isBoosting
+        ? Math.max(0, boostEnergy - BOOST_DRAIN_PER_SECOND * seconds)
+        : Math.min(
+            BOOST_ENERGY_MAX,
+            boostEnergy + BOOST_RECHARGE_PER_SECOND * seconds,
+          );
     }
 
     // Update camera to follow player
     // Camera.y should be set so that player.worldY appears at PLAYER_SCREEN_Y_OFFSET from bottom
     // screenY = worldY - camera.y, and we want screenY = canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET
     // So: camera.y = player.worldY - (canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET)
+    // Follow tightly so the car is drawn exactly at its world position
+    // (the server resolves collisions in world space)
     camera.targetY =
       player.worldY - (canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET);
-    camera.y += (camera.targetY - camera.y) * camera.lerpSpeed;
+    camera.y = camera.targetY;
 
     // Update stats display in left panel
     updateStatsDisplay();
 
+    // Add to this race's ghost trace
+    if (canMove) {
+      recordGhostSample();
+      checkSplits();
+    }
+
     // Update player X position (horizontal movement)
     const roadLeft = canvas.width / 2 - road.width / 2;
     const roadRight = canvas.width / 2 + road.width / 2;
 
     if (keys.left) {
-      player.x -= player.speed;
+      player.x -= player.speed * frameSteps;
     }
     if (keys.right) {
-      player.x += player.speed;
+      player.x += player.speed * frameSteps;
     }
 
     // Keep player within road bounds
@@ -458,15 +779,424 @@ const Game = (function () {
       player.x = roadRight - player.width;
     }
 
-    // Check collision with obstacles
-    if (!isStunned) {
-      checkObstacleCollisions(roadLeft);
-    }
-
     // Send player state to server
     sendPlayerUpdate();
   }
 
+  // ============================================
+  // GHOST CAR
+  // ============================================
+
+  // Saved ghost runs keyed by course - the same seed and spacing give
+  // the same obstacles (time trials keep their own)
+  function getGhostKey() {
+    const courseKey = `${raceDistance}:${course.seed}:${course.spacing}`;
+    return raceMode === "timetrial" ? `trial:${courseKey}` : courseKey;
+  }
+
+  function loadGhosts() {
+    try {
+      return JSON.parse(localStorage.getItem(GHOST_STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function loadGhost(key) {
+    const saved = loadGhosts()[key];
+    return saved && saved.samples && saved.samples.length > 1 ? saved : null;
+  }
+
+  function recordGhostSample() {
+    if (!ghostTrace) return;
+
+    const last = ghostTrace[ghostTrace.length - 1];
+    if (last && raceTime - last[0] < GHOST_SAMPLE_MS) return;
+
+    ghostTrace.push([
+      raceTime,
+      Math.round(getNormalizedX() * 1000) / 1000,
+      Math.round(player.worldY - ghostStartWorldY),
+      Math.round(player.distance * 10) / 10,
+    ]);
+  }
+
+  // Keep this race's trace if it beat the stored ghost
+  function saveGhostIfFaster(finishTime) {
+    if (!ghostTrace || ghostTrace.length < 2) return;
+    if (ghost && ghost.time <= finishTime) return;
+
+    // Close the trace at the finish line so the ghost crosses it
+    ghostTrace.push([
+      finishTime,
+      Math.round(getNormalizedX() * 1000) / 1000,
+      Math.round(player.worldY - ghostStartWorldY),
+      raceDistance,
+    ]);
+
+    const ghosts = loadGhosts();
+    ghosts[getGhostKey()] = {
+      time: finishTime,
+      savedAt: Date.now(),
+      samples: ghostTrace,
+    };
+
+    // Random seeds rarely come round again - keep only the latest runs
+    const keys = Object.keys(ghosts).sort(
+      (a, b) => (ghosts[b].savedAt || 0) - (ghosts[a].savedAt || 0),
+    );
+    for (const key of keys.slice(MAX_SAVED_GHOSTS)) {
+      delete ghosts[key];
+    }
+    try {
+      localStorage.setItem(GHOST_STORAGE_KEY, JSON.stringify(ghosts));
+    } catch (e) {
+      console.warn("Could not save ghost run:", e);
+    }
+    ghostTrace = null;
+  }
+
+  // Ghost position at a race time, interpolated between samples
+  function getGhostState(time) {
+    const samples = ghost.samples;
+    let i = 0;
+    while (i < samples.length - 2 && samples[i + 1][0] <= time) i++;
+
+    const from = samples[i];
+    const to = samples[i + 1];
+    const span = to[0] - from[0];
+    const blend =
+      span > 0 ? Math.min(1, Math.max(0, (time - from[0]) / span)) : 0;
+    return {
+      x: from[1] + (to[1] - from[1]) * blend,
+      dy: from[2] + (to[2] - from[2]) * blend,
+      distance: from[3] + (to[3] - from[3]) * blend,
+    };
+  }
+
+  // Race time at which the ghost reached a distance (null once past its run)
+  function getGhostTimeAt(distance) {
+    const samples = ghost.samples;
+    for (let i = 1; i < samples.length; i++) {
+      if (samples[i][3] >= distance) {
+        const from = samples[i - 1];
+        const to = samples[i];
+        const span = to[3] - from[3];
+        const blend = span > 0 ? (distance - from[3]) / span : 0;
+        return from[0] + (to[0] - from[0]) * blend;
+      }
+    }
+    return null;
+  }
+
+  // How far ahead (-) or behind (+) the ghost we are, in ms
+  function getGhostDelta() {
+    if (!ghost || isSpectator) return null;
+    if (playerFinishedData) {
+      return playerFinishedData.time - ghost.time;
+    }
+    const ghostTime = getGhostTimeAt(player.distance);
+    return ghostTime === null ? null : raceTime - ghostTime;
+  }
+
+  function drawGhost(roadX) {
+    if (!ghost || isSpectator) return;
+    if (raceState !== "racing" && raceState !== "paused") return;
+
+    const state = getGhostState(raceTime);
+    const ghostWorldY = ghostStartWorldY + state.dy;
+    if (!isOnScreen(ghostWorldY, player.height)) return;
+
+    const ghostX = roadX + state.x * (road.width - player.width);
+    ctx.globalAlpha = GHOST_ALPHA; // drawCar restores full opacity
+    drawCar(
+      ghostX,
+      toScreenY(ghostWorldY),
+      player.width,
+      player.height,
+      player.color,
+      "GHOST",
+    );
+  }
+
+  // ============================================
+  // REPLAY VIEWER
+  // ============================================
+
+  // Open a recorded race from the server
+  function startReplay(data) {
+    if (!data || !data.frames || data.frames.length === 0) return;
+
+    replay = {
+      data: data,
+      time: 0,
+      playing: true,
+      speedIndex: REPLAY_SPEEDS.indexOf(1),
+      followId: null, // null = follow the leader
+      lastUpdate: Date.now(),
+      players: {},
+      // Live view to restore when the replay is closed
+      saved: {
+        worldY: player.worldY,
+        distance: player.distance,
+        roadWidth: road.width,
+      },
+    };
+  }
+
+  // Close the replay and go back to the live room
+  function stopReplay() {
+    if (!replay) return;
+
+    player.worldY = replay.saved.worldY;
+    player.distance = replay.saved.distance;
+    road.width = replay.saved.roadWidth;
+    replay = null;
+    generateAsphaltNoise();
+  }
+
+  // Returns true if the key was used by the replay viewer
+  function handleReplayKey(key) {
+    switch (key) {
+      case " ":
+      case "k":
+        // Replay from the start once it has ended
+        if (!replay.playing && replay.time >= replay.data.duration) {
+          replay.time = 0;
+        }
+        replay.playing = !replay.playing;
+        return true;
+      case "j":
+        seekReplay(replay.time - REPLAY_SEEK_MS);
+        return true;
+      case "l":
+        seekReplay(replay.time + REPLAY_SEEK_MS);
+        return true;
+      case "[":
+        replay.speedIndex = Math.max(0, replay.speedIndex - 1);
+        return true;
+      case "]":
+        replay.speedIndex = Math.min(
+          REPLAY_SPEEDS.length - 1,
+          replay.speedIndex + 1,
+        );
+        return true;
+      case "arrowleft":
+      case "a":
+        cycleReplayTarget(-1);
+        return true;
+      case "arrowright":
+      case "d":
+        cycleReplayTarget(1);
+        return true;
+      case "arrowup":
+      case "w":
+        replay.followId = null;
+        return true;
+      case "escape":
+        stopReplay();
+        return true;
+    }
+    return false;
+  }
+
+  function seekReplay(time) {
+    replay.time = Math.max(0, Math.min(replay.data.duration, time));
+  }
+
+  // Seek to where the pointer is on the timeline (returns false if outside)
+  function seekReplayToPointer(e, mustHitTimeline) {
+    const rect = canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const timeline = getReplayTimelineBounds();
+
+    if (
+      mustHitTimeline &&
+      (y < timeline.y - 6 ||
+        y > timeline.y + timeline.height + 6 ||
+        x < timeline.x ||
+        x > timeline.x + timeline.width)
+    ) {
+      return false;
+    }
+
+    seekReplay(((x - timeline.x) / timeline.width) * replay.data.duration);
+    return true;
+  }
+
+  function getReplayTimelineBounds() {
+    return {
+      x: REPLAY_TIMELINE_MARGIN,
+      y: canvas.height - 30,
+      width: canvas.width - REPLAY_TIMELINE_MARGIN * 2,
+      height: REPLAY_TIMELINE_HEIGHT,
+    };
+  }
+
+  // Racer ids ordered by distance at the current replay time
+  function getReplayRacerIds() {
+    return Object.keys(replay.players).sort(
+      (a, b) => replay.players[b].distance - replay.players[a].distance,
+    );
+  }
+
+  function cycleReplayTarget(direction) {
+    const ids = getReplayRacerIds();
+    if (ids.length === 0) return;
+
+    const current = replay.followId ? ids.indexOf(replay.followId) : 0;
+    replay.followId = ids[(current + direction + ids.length) % ids.length];
+  }
+
+  // Index of the last frame at or before a replay time
+  function findReplayFrame(frames, time) {
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (frames[mid].t <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  function updateReplay(now) {
+    const data = replay.data;
+
+    // Advance the replay clock
+    if (replay.playing) {
+      replay.time +=
+        (now - replay.lastUpdate) * REPLAY_SPEEDS[replay.speedIndex];
+      if (replay.time >= data.duration) {
+        replay.time = data.duration;
+        replay.playing = false;
+      }
+    }
+    replay.lastUpdate = now;
+
+    // Interpolate between the two recorded frames around the current time
+    const index = findReplayFrame(data.frames, replay.time);
+    const frame = data.frames[index];
+    const next = data.frames[Math.min(index + 1, data.frames.length - 1)];
+    const span = next.t - frame.t;
+    const blend = span > 0 ? (replay.time - frame.t) / span : 0;
+
+    replay.players = {};
+    for (const id in frame.players) {
+      const racer = data.racers[id];
+      if (!racer) continue;
+
+      const [x, worldY, distance, stunned] = frame.players[id];
+      const to = next.players[id] || frame.players[id];
+      replay.players[id] = {
+        name: racer.name,
+        color: racer.color,
+        x: x + (to[0] - x) * blend,
+        worldY: worldY + (to[1] - worldY) * blend,
+        distance: distance + (to[2] - distance) * blend,
+        stunned: stunned === 1,
+      };
+    }
+
+    road.width = frame.roadWidth;
+
+    // Camera follows the chosen car (or whoever is leading)
+    if (replay.followId && !replay.players[replay.followId]) {
+      replay.followId = null;
+    }
+    const targetId = replay.followId || getReplayRacerIds()[0];
+    const target = replay.players[targetId];
+    if (target) {
+      player.worldY = target.worldY;
+      player.distance = target.distance;
+      camera.targetY =
+        player.worldY -
+        (canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET);
+      camera.y = camera.targetY;
+    }
+
+    obstacles = Course.getObstaclesInRange(
+      data.seed,
+      camera.y - OBSTACLE_BUILD_MARGIN,
+      camera.y + canvas.height + OBSTACLE_BUILD_MARGIN,
+      data.obstacleSpacing,
+    );
+  }
+
+  // Obstacles only exist once the race is underway
+  function updateObstacles() {
+    const courseActive =
+      raceState === "racing" ||
+      raceState === "paused" ||
+      raceState === "finished";
+
+    if (!course || !courseActive) {
+      obstacles = [];
+      pickups = [];
+      return;
+    }
+
+    obstacles = Course.getObstaclesInRange(
+      course.seed,
+      camera.y - OBSTACLE_BUILD_MARGIN,
+      camera.y + canvas.height + OBSTACLE_BUILD_MARGIN,
+      course.spacing,
+    );
+    pickups = Course.getPickupsInRange(
+      course.seed,
+      camera.y - OBSTACLE_BUILD_MARGIN,
+      camera.y + canvas.height + OBSTACLE_BUILD_MARGIN,
+      course.spacing,
+    ).filter((pickup) => !takenPickups.includes(pickup.id));
+  }
+
+  // Racer ids in leaderboard order (finished by position, then distance)
+  function getRacerIds() {
+    return Object.keys(otherPlayers).sort((a, b) => {
+      const pa = otherPlayers[a];
+      const pb = otherPlayers[b];
+      if (pa.finished && !pb.finished) return -1;
+      if (!pa.finished && pb.finished) return 1;
+      if (pa.finished && pb.finished) return pa.position - pb.position;
+      return pb.distance - pa.distance;
+    });
+  }
+
+  // The racer the spectator camera is following
+  function getSpectateTarget() {
+    if (spectateTargetId && otherPlayers[spectateTargetId]) {
+      return otherPlayers[spectateTargetId];
+    }
+    spectateTargetId = null;
+    const leaderId = getRacerIds()[0];
+    return leaderId ? otherPlayers[leaderId] : null;
+  }
+
+  function cycleSpectateTarget(direction) {
+    const ids = getRacerIds();
+    if (ids.length === 0) return;
+
+    const current = spectateTargetId ? ids.indexOf(spectateTargetId) : 0;
+    spectateTargetId = ids[(current + direction + ids.length) % ids.length];
+  }
+
+  function updateSpectatorCamera() {
+    const target = getSpectateTarget();
+    if (!target) return;
+
+    // Mirror the target so render culling and stats follow them
+    player.worldY = target.worldY;
+    player.distance = target.distance;
+
+    camera.targetY =
+      player.worldY - (canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET);
+    camera.y += (camera.targetY - camera.y) * camera.lerpSpeed;
+  }
+
   // Update the stats display in the left panel
   function updateStatsDisplay() {
     const speedEl = document.getElementById("stat-speed");
@@ -474,6 +1204,7 @@ const Game = (function () {
     const playersEl = document.getElementById("stat-players");
     const timeEl = document.getElementById("stat-time");
     const statusEl = document.getElementById("stat-status");
+    const ghostEl = document.getElementById("stat-ghost");
 
     if (speedEl) {
       const displaySpeed = isBoosting
@@ -495,6 +1226,17 @@ const Game = (function () {
         timeEl.textContent = formatRaceTime(displayTime);
       }
     }
+    if (ghostEl) {
+      const delta = getGhostDelta();
+      if (delta === null) {
+        ghostEl.textContent = "-";
+        ghostEl.style.color = "";
+      } else {
+        const sign = delta < 0 ? "-" : "+";
+        ghostEl.textContent = `${sign}${(Math.abs(delta) / 1000).toFixed(2)}s`;
+        ghostEl.style.color = delta > 0 ? "#ff6b6b" : "#33ff33";
+      }
+    }
     if (statusEl) {
       const states = {
         waiting: "Waiting",
@@ -507,70 +1249,31 @@ const Game = (function () {
     }
   }
 
-  function checkObstacleCollisions(roadLeft) {
-    const obstacleSize = 25;
-
-    // Player's screen Y position (fixed near bottom)
-    const playerScreenY =
-      canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET;
-
-    for (const obs of obstacles) {
-      // Use worldY directly if available from server, otherwise calculate from distance
-      const obsWorldY =
-        obs.worldY !== undefined
-          ? obs.worldY
-          : -obs.distance * PIXELS_PER_METER;
-
-      // Convert to screen position using helper
-      const obsScreenY = toScreenY(obsWorldY);
-      const obsX = roadLeft + obs.x * (road.width - obstacleSize);
-
-      // Check if within collision range
-      const distY = Math.abs(obsScreenY - playerScreenY);
-      if (distY > 50) continue;
-
-      // Simple AABB collision
-      if (
-        player.x < obsX + obstacleSize &&
-        player.x + player.width > obsX &&
-        playerScreenY < obsScreenY + obstacleSize &&
-        playerScreenY + player.height > obsScreenY
-      ) {
-        // Collision detected!
-        triggerStun();
-        break;
-      }
-    }
-  }
-
-  function triggerStun() {
-    if (isStunned) return; // Already stunned
-
+  // Called when the server resolves a hit on our car
+  function triggerStun(duration = stunDuration) {
     isStunned = true;
-    stunnedUntil = Date.now() + STUN_DURATION;
+    stunnedUntil = Date.now() + duration;
     scrollSpeed = 0; // Stop the car
-
-    // Notify server of collision
-    if (socket) {
-      socket.emit("collision");
-    }
+    boostEnergy = 0; // A crash empties the boost meter
   }
 
-  function sendPlayerUpdate() {
-    if (!socket) return;
-
+  // Normalize X position (0-1 within road bounds)
+  function getNormalizedX() {
     const roadLeft = canvas.width / 2 - road.width / 2;
     const roadRight = canvas.width / 2 + road.width / 2;
+    return (player.x - roadLeft) / (roadRight - roadLeft - player.width);
+  }
 
-    // Normalize X position (0-1 within road bounds)
-    const normalizedX =
-      (player.x - roadLeft) / (roadRight - roadLeft - player.width);
+  function sendPlayerUpdate() {
+    if (!socket) return;
 
     socket.emit("player-update", {
-      x: normalizedX,
+      x: getNormalizedX(),
       worldY: player.worldY,
       distance: player.distance,
       stunned: isStunned,
+      boosting: isBoosting,
+      bumpSeq: bumpSeq,
     });
   }
 
@@ -603,6 +1306,15 @@ const Game = (function () {
     ctx.fillStyle = "#0a0a0a";
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+    if (replay) {
+      drawReplay();
+      return;
+    }
+
+    // Everything below shakes together after a bump
+    ctx.save();
+    applyScreenShake();
+
     const roadX = canvas.width / 2 - road.width / 2;
 
     // Draw road background with seamless scrolling texture
@@ -641,61 +1353,270 @@ const Game = (function () {
       );
     }
 
+    // Draw oil slicks under everything else on the road
+    drawOilSlicks(roadX);
+
     // Draw obstacles with neon red glow
     drawObstacles(roadX);
 
+    // Draw power-up pickups
+    drawPickups(roadX);
+
+    // Draw our best run underneath the live cars
+    drawGhost(roadX);
+
     // Draw other players (ghost mechanic)
     drawOtherPlayers(roadX);
 
-    // Player's screen Y position (fixed near bottom of view)
-    const playerScreenY =
-      canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET;
+    if (isSpectator) {
+      drawSpectatorHud();
+    } else {
+      // Player's screen Y position (fixed near bottom of view)
+      const playerScreenY =
+        canvas.height - player.height - PLAYER_SCREEN_Y_OFFSET;
+
+      // Draw boost particles (flames behind car)
+      if (boostParticles.length > 0) {
+        drawBoostParticles();
+      }
+
+      // Draw player car with detailed design
+      const playerName = otherPlayers[playerId]?.name || "You";
+      drawCar(
+        player.x,
+        playerScreenY,
+        player.width,
+        player.height,
+        player.color,
+        playerName,
+        isStunned,
+        isBoosting,
+        Boolean(otherPlayers[playerId]?.shielded),
+      );
+
+      // Boost meter beside the car
+      drawBoostMeter(playerScreenY);
+
+      // Draw stun indicator on canvas
+      if (isStunned) {
+        ctx.fillStyle = "#ff3333";
+        ctx.font = '16px "Courier New", monospace';
+        const stunRemaining = Math.max(
+          0,
+          Math.ceil((stunnedUntil - Date.now()) / 1000),
+        );
+        ctx.textAlign = "center";
+        ctx.fillText(`STUNNED! ${stunRemaining}s`, canvas.width / 2, 30);
+        ctx.textAlign = "left";
+      }
+
+      // Draw boost indicator
+      if (isBoosting && !isStunned) {
+        ctx.fillStyle = "#ffdd00";
+        ctx.font = '14px "Courier New", monospace';
+        ctx.textAlign = "center";
+        ctx.fillText("🚀 BOOST!", canvas.width / 2, canvas.height - 20);
+        ctx.textAlign = "left";
+      }
+
+      // Held power-up
+      drawItemSlot();
+    }
+
+    // Elimination countdown (and a warning for whoever is in last place)
+    drawEliminationHud();
 
-    // Draw boost particles (flames behind car)
-    if (boostParticles.length > 0) {
-      drawBoostParticles();
+    // Time trials race the clock, so show splits instead of the leaderboard
+    if (raceMode === "timetrial" && !isSpectator) {
+      drawSplits();
+    } else {
+      drawLeaderboard();
     }
 
-    // Draw player car with detailed design
-    const playerName = otherPlayers[playerId]?.name || "You";
-    drawCar(
-      player.x,
-      playerScreenY,
-      player.width,
-      player.height,
-      player.color,
-      playerName,
-      isStunned,
-      isBoosting,
+    // Draw race overlays (countdown, waiting, results)
+    drawRaceOverlay();
+
+    ctx.restore();
+  }
+
+  // Offset the canvas by a random, fading amount while a bump shake lasts
+  function applyScreenShake() {
+    const remaining = shakeUntil - Date.now();
+    if (remaining <= 0) return;
+
+    const strength = SHAKE_STRENGTH * (remaining / SHAKE_DURATION);
+    ctx.translate(
+      (Math.random() * 2 - 1) * strength,
+      (Math.random() * 2 - 1) * strength,
     );
+  }
 
-    // Draw stun indicator on canvas
-    if (isStunned) {
-      ctx.fillStyle = "#ff3333";
-      ctx.font = '16px "Courier New", monospace';
-      const stunRemaining = Math.max(
-        0,
-        Math.ceil((stunnedUntil - Date.now()) / 1000),
+  // Draw the recorded race at the current replay time
+  function drawReplay() {
+    const roadX = canvas.width / 2 - road.width / 2;
+
+    drawRoadBackground(roadX);
+    drawRumbleStrips(roadX);
+    drawNeonRoadLines(roadX);
+    drawStartLine(roadX);
+    drawFinishLine(roadX);
+    drawObstacles(roadX);
+    drawOtherPlayers(roadX, replay.players, null);
+    drawReplayHud();
+  }
+
+  // Timeline, playback state, followed car and recent events
+  function drawReplayHud() {
+    const data = replay.data;
+    const timeline = getReplayTimelineBounds();
+    const progress = data.duration > 0 ? replay.time / data.duration : 0;
+
+    ctx.save();
+
+    // Title
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(0, 0, canvas.width, 28);
+    ctx.font = 'bold 14px "Courier New", monospace';
+    ctx.fillStyle = "#4ecdc4";
+    ctx.textAlign = "center";
+    ctx.fillText(
+      `REPLAY #${data.id} - ${data.raceDistance}m - seed ${data.seed}`,
+      canvas.width / 2,
+      19,
+    );
+
+    // Timeline with event markers
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(0, timeline.y - 30, canvas.width, canvas.height);
+    ctx.fillStyle = "#333333";
+    ctx.fillRect(timeline.x, timeline.y, timeline.width, timeline.height);
+    ctx.fillStyle = "#4ecdc4";
+    ctx.fillRect(
+      timeline.x,
+      timeline.y,
+      timeline.width * progress,
+      timeline.height,
+    );
+    for (const event of data.events) {
+      if (data.duration <= 0) break;
+      ctx.fillStyle = event.type === "finished" ? "#ffdd00" : "#ff3333";
+      ctx.fillRect(
+        timeline.x + (event.t / data.duration) * timeline.width - 1,
+        timeline.y - 3,
+        2,
+        timeline.height + 6,
       );
-      ctx.textAlign = "center";
-      ctx.fillText(`STUNNED! ${stunRemaining}s`, canvas.width / 2, 30);
-      ctx.textAlign = "left";
     }
 
-    // Draw boost indicator
-    if (isBoosting && !isStunned) {
-      ctx.fillStyle = "#ffdd00";
-      ctx.font = '14px "Courier New", monospace';
-      ctx.textAlign = "center";
-      ctx.fillText("🚀 BOOST!", canvas.width / 2, canvas.height - 20);
-      ctx.textAlign = "left";
+    // Clock, speed and followed car
+    const target = replay.players[replay.followId || getReplayRacerIds()[0]];
+    const following = target
+      ? `${target.name}${replay.followId ? "" : " (leader)"}`
+      : "-";
+    ctx.font = '12px "Courier New", monospace';
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "left";
+    ctx.fillText(
+      `${replay.playing ? "▶" : "❚❚"} ${formatRaceTime(replay.time)} / ${formatRaceTime(data.duration)}`,
+      timeline.x,
+      timeline.y - 10,
+    );
+    ctx.textAlign = "center";
+    ctx.fillText(`FOLLOWING: ${following}`, canvas.width / 2, timeline.y - 10);
+    ctx.textAlign = "right";
+    ctx.fillText(
+      `${REPLAY_SPEEDS[replay.speedIndex]}x`,
+      timeline.x + timeline.width,
+      timeline.y - 10,
+    );
+
+    // Timeline events from the last few seconds
+    const recent = data.events.filter(
+      (event) =>
+        event.t <= replay.time && replay.time - event.t < REPLAY_EVENT_SHOW_MS,
+    );
+    ctx.textAlign = "left";
+    ctx.font = '11px "Courier New", monospace';
+    recent.forEach((event, index) => {
+      const racer = data.racers[event.playerId];
+      const name = racer ? racer.name : "?";
+      const labels = {
+        stunned: "hit an obstacle",
+        finished: "finished",
+        left: "left the race",
+        eliminated: "was eliminated",
+      };
+      ctx.fillStyle = event.type === "finished" ? "#ffdd00" : "#ff6b6b";
+      ctx.fillText(
+        `${formatRaceTime(event.t)} ${name} ${labels[event.type] || event.type}`,
+        10,
+        48 + index * 14,
+      );
+    });
+
+    ctx.restore();
+  }
+
+  // Next knockout timer - last place on track gets a danger warning
+  function drawEliminationHud() {
+    if (nextEliminationTime === null) return;
+    if (raceState !== "racing" && raceState !== "paused") return;
+
+    const secondsLeft = Math.max(
+      0,
+      Math.ceil((nextEliminationTime - raceTime) / 1000),
+    );
+    const onTrack = getRacerIds().filter((id) => !otherPlayers[id].finished);
+    const inDanger =
+      !isSpectator &&
+      !myFinished &&
+      onTrack.length >= 2 &&
+      onTrack[onTrack.length - 1] === playerId;
+
+    ctx.save();
+    ctx.textAlign = "center";
+    if (inDanger) {
+      // Pulse the warning so it can't be missed
+      const pulse = 0.6 + 0.4 * Math.abs(Math.sin(Date.now() / 200));
+      ctx.globalAlpha = pulse;
+      ctx.fillStyle = "#ff3333";
+      ctx.shadowBlur = 10;
+      ctx.shadowColor = "#ff3333";
+      ctx.font = 'bold 18px "Courier New", monospace';
+      ctx.fillText(
+        `⚠ DANGER ZONE - last place is out in ${secondsLeft}s`,
+        canvas.width / 2,
+        56,
+      );
+    } else {
+      ctx.fillStyle = "#888";
+      ctx.font = '12px "Courier New", monospace';
+      ctx.fillText(`next elimination in ${secondsLeft}s`, canvas.width / 2, 56);
     }
+    ctx.restore();
+  }
 
-    // Draw leaderboard
-    drawLeaderboard();
+  // Show who the spectator camera is following
+  function drawSpectatorHud() {
+    const target = getSpectateTarget();
 
-    // Draw race overlays (countdown, waiting, results)
-    drawRaceOverlay();
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.font = '14px "Courier New", monospace';
+    ctx.fillStyle = "#4ecdc4";
+    const label = target
+      ? `SPECTATING: ${target.name}${spectateTargetId ? "" : " (leader)"}`
+      : "SPECTATING";
+    ctx.fillText(label, canvas.width / 2, canvas.height - 35);
+
+    ctx.font = '11px "Courier New", monospace';
+    ctx.fillStyle = "#888888";
+    ctx.fillText(
+      "←/→ switch racer | ↑ follow leader",
+      canvas.width / 2,
+      canvas.height - 18,
+    );
+    ctx.restore();
   }
 
   // Draw start line (at worldY = 0)
@@ -736,7 +1657,8 @@ const Game = (function () {
 
   // Draw finish line
   function drawFinishLine(roadX) {
-    const finishWorldY = -raceDistance * PIXELS_PER_METER;
+    const distance = replay ? replay.data.raceDistance : raceDistance;
+    const finishWorldY = -distance * PIXELS_PER_METER;
     if (!isOnScreen(finishWorldY, 20)) return;
 
     const screenY = toScreenY(finishWorldY);
@@ -843,28 +1765,39 @@ const Game = (function () {
     }
 
     if (raceState === "finished" && raceResults) {
-      // Results overlay
+      // Results overlay - rows squeeze up so a full room fits the canvas
+      const rowHeight = getResultsRowHeight(raceResults.length);
+      const rowsTop = RESULTS_TOP + 90;
+      const rowsBottom = rowsTop + (raceResults.length - 1) * rowHeight;
+      const seedY = rowsBottom + 40;
+      const boxHeight = seedY + 50 - RESULTS_TOP;
+
       ctx.fillStyle = "rgba(0, 0, 0, 0.85)";
-      ctx.fillRect(canvas.width / 2 - 180, 50, 360, 300);
+      ctx.fillRect(canvas.width / 2 - 220, RESULTS_TOP, 440, boxHeight);
 
       ctx.font = 'bold 28px "Courier New", monospace';
       ctx.fillStyle = "#ffdd00";
       ctx.shadowBlur = 10;
       ctx.shadowColor = "#ffdd00";
-      ctx.fillText("🏆 RACE COMPLETE 🏆", canvas.width / 2, 100);
+      ctx.fillText("🏆 RACE COMPLETE 🏆", canvas.width / 2, RESULTS_TOP + 50);
       ctx.shadowBlur = 0;
 
-      ctx.font = '16px "Courier New", monospace';
+      ctx.font = `${Math.min(16, rowHeight - 4)}px "Courier New", monospace`;
       raceResults.forEach((r, index) => {
-        const y = 140 + index * 30;
+        const y = rowsTop + index * rowHeight;
         const medal =
           index === 0 ? "🥇" : index === 1 ? "🥈" : index === 2 ? "🥉" : "  ";
-        const timeStr = formatRaceTime(r.time);
-
-        ctx.fillStyle =
-          r.name === otherPlayers[playerId]?.name ? "#33ff33" : "#ffffff";
+        const timeStr = r.eliminated
+          ? `out at ${r.distance}m`
+          : formatRaceTime(r.time);
+        // All-time standing for this distance
+        const record =
+          (r.personalBest ? " PB!" : "") +
+          (r.allTimeRank ? ` #${r.allTimeRank}` : "");
+
+        ctx.fillStyle = r.playerId === playerId ? "#33ff33" : "#ffffff";
         ctx.fillText(
-          `${medal} ${getOrdinal(r.position)} - ${r.name} (${timeStr})`,
+          `${medal} ${getOrdinal(r.position)} - ${r.name} (${timeStr})${record}`,
           canvas.width / 2,
           y,
         );
@@ -872,7 +1805,10 @@ const Game = (function () {
 
       ctx.font = '12px "Courier New", monospace';
       ctx.fillStyle = "#888888";
-      ctx.fillText("Host can start a new race", canvas.width / 2, 320);
+      if (resultsSeed) {
+        ctx.fillText(`Course seed: ${resultsSeed}`, canvas.width / 2, seedY);
+      }
+      ctx.fillText("Host can start a new race", canvas.width / 2, seedY + 20);
     }
 
     // Show position when player finishes
@@ -893,6 +1829,18 @@ const Game = (function () {
   }
 
   // Helper functions for race overlay
+
+  // Spacing between result rows - less than usual when a full room's list
+  // wouldn't fit the canvas (title and footer take 180px of the box)
+  function getResultsRowHeight(count) {
+    if (count < 2) return RESULTS_ROW_HEIGHT;
+    const fit = (canvas.height - RESULTS_TOP - 190) / (count - 1);
+    return Math.max(
+      RESULTS_MIN_ROW_HEIGHT,
+      Math.min(RESULTS_ROW_HEIGHT, Math.floor(fit)),
+    );
+  }
+
   function formatRaceTime(ms) {
     const totalSeconds = Math.floor(ms / 1000);
     const minutes = Math.floor(totalSeconds / 60);
@@ -1096,7 +2044,139 @@ const Game = (function () {
     ctx.shadowColor = "transparent";
   }
 
+  // ============================================
+  // POWER-UPS
+  // ============================================
+
+  function drawPickups(roadX) {
+    ctx.font = 'bold 12px "Courier New", monospace';
+    ctx.textAlign = "center";
+
+    for (const pickup of pickups) {
+      if (!isOnScreen(pickup.worldY, PICKUP_SIZE)) continue;
+
+      const color = ITEM_COLORS[pickup.type];
+      const centerX =
+        roadX + pickup.x * (road.width - PICKUP_SIZE) + PICKUP_SIZE / 2;
+      const centerY = toScreenY(pickup.worldY) + PICKUP_SIZE / 2;
+
+      // Glowing diamond with the item's letter
+      ctx.shadowBlur = NEON_GLOW_BLUR;
+      ctx.shadowColor = color;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(centerX, centerY - PICKUP_SIZE / 2);
+      ctx.lineTo(centerX + PICKUP_SIZE / 2, centerY);
+      ctx.lineTo(centerX, centerY + PICKUP_SIZE / 2);
+      ctx.lineTo(centerX - PICKUP_SIZE / 2, centerY);
+      ctx.closePath();
+      ctx.stroke();
+
+      ctx.shadowBlur = 0;
+      ctx.fillStyle = color;
+      ctx.fillText(ITEM_LABELS[pickup.type], centerX, centerY + 4);
+    }
+
+    ctx.textAlign = "left";
+    ctx.shadowColor = "transparent";
+  }
+
+  function drawOilSlicks(roadX) {
+    for (const slick of oilSlicks) {
+      if (!isOnScreen(slick.worldY, OIL_SLICK_SIZE)) continue;
+
+      const centerX =
+        roadX + slick.x * (road.width - OIL_SLICK_SIZE) + OIL_SLICK_SIZE / 2;
+      const centerY = toScreenY(slick.worldY) + OIL_SLICK_SIZE / 2;
+
+      // Dark puddle with a purple sheen
+      ctx.fillStyle = "#111";
+      ctx.beginPath();
+      ctx.ellipse(
+        centerX,
+        centerY,
+        OIL_SLICK_SIZE / 2,
+        OIL_SLICK_SIZE / 3,
+        0,
+        0,
+        Math.PI * 2,
+      );
+      ctx.fill();
+      ctx.strokeStyle = ITEM_COLORS.oil;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+  }
+
+  // Vertical energy bar just right of our car
+  function drawBoostMeter(carScreenY) {
+    if (raceState !== "racing" && raceState !== "paused") return;
+
+    const barX = player.x + player.width + 6;
+    const barWidth = 5;
+    const fill = boostEnergy / BOOST_ENERGY_MAX;
+    const fillHeight = player.height * fill;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.1)";
+    ctx.fillRect(barX, carScreenY, barWidth, player.height);
+
+    // Yellow when there's plenty, red when nearly empty
+    ctx.fillStyle = fill > 0.25 ? "#ffdd00" : "#ff3333";
+    ctx.fillRect(
+      barX,
+      carScreenY + player.height - fillHeight,
+      barWidth,
+      fillHeight,
+    );
+
+    ctx.strokeStyle = "#555";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(barX, carScreenY, barWidth, player.height);
+  }
+
+  // Held item in the bottom-left corner
+  function drawItemSlot() {
+    if (raceState !== "racing" && raceState !== "paused") return;
+
+    const me = otherPlayers[playerId];
+    const item = me && me.item;
+    const boxX = 10;
+    const boxY = canvas.height - 60;
+
+    ctx.fillStyle = "rgba(10, 10, 10, 0.8)";
+    ctx.fillRect(boxX, boxY, 110, 50);
+    ctx.strokeStyle = item ? ITEM_COLORS[item] : "#333";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(boxX, boxY, 110, 50);
+
+    ctx.fillStyle = "#888";
+    ctx.font = '11px "Courier New", monospace';
+    ctx.fillText("> ITEM", boxX + 8, boxY + 15);
+
+    if (item) {
+      ctx.fillStyle = ITEM_COLORS[item];
+      ctx.font = 'bold 13px "Courier New", monospace';
+      ctx.fillText(item.toUpperCase(), boxX + 8, boxY + 31);
+      ctx.fillStyle = "#666";
+      ctx.font = '10px "Courier New", monospace';
+      ctx.fillText("space to use", boxX + 8, boxY + 44);
+    } else {
+      ctx.fillStyle = "#444";
+      ctx.font = '13px "Courier New", monospace';
+      ctx.fillText("- empty -", boxX + 8, boxY + 31);
+    }
+  }
+
+  // Top racers, built from the synced player state
+  function getLeaderboard() {
+    return getRacerIds()
+      .slice(0, LEADERBOARD_SIZE)
+      .map((id) => ({ id: id, ...otherPlayers[id] }));
+  }
+
   function drawLeaderboard() {
+    const leaderboard = getLeaderboard();
     if (leaderboard.length === 0) return;
 
     const padding = 10;
@@ -1126,10 +2206,7 @@ const Game = (function () {
       const dist = Math.floor(entry.distance) + "m";
 
       // Highlight current player
-      if (
-        otherPlayers[playerId] &&
-        entry.name === otherPlayers[playerId].name
-      ) {
+      if (entry.id === playerId) {
         ctx.fillStyle = "#33ff33";
       } else {
         ctx.fillStyle = "#666";
@@ -1139,14 +2216,98 @@ const Game = (function () {
     });
   }
 
-  function drawOtherPlayers(roadX) {
+  // ============================================
+  // TIME-TRIAL SPLITS
+  // ============================================
+
+  function getSplitDistance(index) {
+    return (raceDistance * (index + 1)) / SPLIT_COUNT;
+  }
+
+  // Log a split, compared with the ghost (our PB) when we have one
+  function recordSplit(index, time) {
+    let delta = null;
+    if (ghost) {
+      const ghostTime =
+        index === SPLIT_COUNT - 1
+          ? ghost.time
+          : getGhostTimeAt(getSplitDistance(index));
+      delta = ghostTime === null ? null : time - ghostTime;
+    }
+    splits[index] = { time: time, delta: delta };
+  }
+
+  // The finish split comes from the server's time in playerFinished
+  function checkSplits() {
+    if (raceMode !== "timetrial") return;
+
+    while (
+      splits.length < SPLIT_COUNT - 1 &&
+      player.distance >= getSplitDistance(splits.length)
+    ) {
+      recordSplit(splits.length, raceTime);
+    }
+  }
+
+  function drawSplits() {
+    if (raceState === "waiting") return;
+
+    const padding = 10;
+    const lineHeight = 16;
+    const boxWidth = 170;
+    const boxHeight = padding * 2 + lineHeight * (SPLIT_COUNT + 1);
+    const boxX = canvas.width - boxWidth - 10;
+    const boxY = 10;
+
+    // Draw background
+    ctx.fillStyle = "rgba(10, 10, 10, 0.8)";
+    ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+    // Draw title
+    ctx.fillStyle = "#888";
+    ctx.font = '11px "Courier New", monospace';
+    ctx.fillText("> SPLITS", boxX + padding, boxY + padding + 10);
+
+    // Draw entries - green is ahead of the PB, red behind
+    ctx.font = '10px "Courier New", monospace';
+    for (let i = 0; i < SPLIT_COUNT; i++) {
+      const yPos = boxY + padding + lineHeight * (i + 2);
+      const label = (Math.round(getSplitDistance(i)) + "m").padEnd(6);
+      const split = splits[i];
+
+      if (!split) {
+        ctx.fillStyle = "#444";
+        ctx.fillText(`${label}-:--.--`, boxX + padding, yPos);
+        continue;
+      }
+
+      let deltaText = "";
+      if (split.delta === null) {
+        ctx.fillStyle = "#33ff33";
+      } else {
+        const sign = split.delta <= 0 ? "-" : "+";
+        deltaText = ` ${sign}${(Math.abs(split.delta) / 1000).toFixed(2)}`;
+        ctx.fillStyle = split.delta <= 0 ? "#33ff33" : "#ff3333";
+      }
+      ctx.fillText(
+        `${label}${formatRaceTime(split.time)}${deltaText}`,
+        boxX + padding,
+        yPos,
+      );
+    }
+  }
+
+  function drawOtherPlayers(roadX, players = otherPlayers, skipId = playerId) {
     const roadLeft = roadX;
 
-    for (const id in otherPlayers) {
+    for (const id in players) {
       // Skip self
-      if (id === playerId) continue;
+      if (id === skipId) continue;
 
-      const other = otherPlayers[id];
+      const other = players[id];
 
       // Calculate distance difference for render culling
       const distanceDiff = other.distance - player.distance;
@@ -1178,6 +2339,8 @@ const Game = (function () {
         other.color || "#ff6b6b",
         other.name,
         other.stunned,
+        false,
+        other.shielded,
       );
     }
   }
@@ -1192,10 +2355,23 @@ const Game = (function () {
     name,
     stunned = false,
     boosting = false,
+    shielded = false,
   ) {
     const w = width;
     const h = height;
 
+    // Shield bubble around the car
+    if (shielded) {
+      ctx.strokeStyle = ITEM_COLORS.shield;
+      ctx.lineWidth = 2;
+      ctx.shadowBlur = NEON_GLOW_BLUR;
+      ctx.shadowColor = ITEM_COLORS.shield;
+      ctx.beginPath();
+      ctx.ellipse(x + w / 2, y + h / 2, w * 0.9, h * 0.7, 0, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+    }
+
     // If stunned, add a flickering effect
     if (stunned && Math.floor(Date.now() / 100) % 2 === 0) {
       ctx.globalAlpha = 0.5;
@@ -1420,6 +2596,12 @@ const Game = (function () {
     showResults,
     setPaused,
     setRaceDistance,
+    setRaceMode,
+    setRules,
+    setSpectator,
+    startReplay,
+    stopReplay,
+    isReplaying: () => replay !== null,
     isRunning: () => gameRunning,
   };
 })();
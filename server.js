@@ -7,6 +7,9 @@ const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const Course = require("./public/course");
 
 const app = express();
 const server = http.createServer(app);
@@ -15,6 +18,95 @@ const io = new Server(server);
 // Serve static files from public folder
 app.use(express.static(path.join(__dirname, "public")));
 
+// All-time leaderboard for one race distance (?mode=timetrial for trials)
+app.get("/api/results/:distance", (req, res) => {
+  const distance = parseInt(req.params.distance);
+  if (!distance) {
+    res.status(400).json({ error: "Invalid race distance" });
+    return;
+  }
+
+  const limit = Math.max(
+    1,
+    Math.min(MAX_RESULTS_LIMIT, parseInt(req.query.limit) || 10),
+  );
+  const timeTrial = req.query.mode === "timetrial";
+  const resultsKey = getResultsKey(distance, timeTrial);
+
+  res.json({
+    distance: distance,
+    mode: timeTrial ? "timetrial" : "race",
+    leaderboard: getAllTimeLeaderboard(resultsKey).slice(0, limit),
+  });
+});
+
+// Race and time trial distances that have recorded results
+app.get("/api/results", (req, res) => {
+  const keys = Object.keys(personalBests);
+  const toDistances = (trial) =>
+    keys
+      .filter((key) => key.startsWith(TRIAL_RESULTS_PREFIX) === trial)
+      .map((key) =>
+        parseInt(key.slice(trial ? TRIAL_RESULTS_PREFIX.length : 0)),
+      )
+      .sort((a, b) => a - b);
+
+  res.json({
+    distances: toDistances(false),
+    trialDistances: toDistances(true),
+  });
+});
+
+// A player's personal bests across all distances
+app.get("/api/players/:name/bests", (req, res) => {
+  const nameKey = req.params.name.toLowerCase();
+  const bests = {};
+  const trialBests = {};
+
+  for (const resultsKey in personalBests) {
+    const table = personalBests[resultsKey];
+    if (Object.hasOwn(table, nameKey)) {
+      const entry = table[nameKey];
+      const trial = resultsKey.startsWith(TRIAL_RESULTS_PREFIX);
+      const distance = trial
+        ? resultsKey.slice(TRIAL_RESULTS_PREFIX.length)
+        : resultsKey;
+      (trial ? trialBests : bests)[distance] = {
+        time: entry.time,
+        date: entry.date,
+        rank: getAllTimeRank(resultsKey, nameKey, entry.time),
+      };
+    }
+  }
+
+  res.json({ name: req.params.name, bests: bests, trialBests: trialBests });
+});
+
+// Rooms anyone can join from the room browser
+app.get("/api/rooms", (req, res) => {
+  const publicRooms = [];
+
+  for (const roomCode in rooms) {
+    const room = rooms[roomCode];
+    if (!room.listed) continue;
+
+    const host = room.members.find((m) => m.id === room.creatorId);
+    publicRooms.push({
+      roomCode: roomCode,
+      hostName: host ? host.name : null,
+      playerCount: room.members.length,
+      maxPlayers: room.maxPlayers,
+      raceState: room.raceState,
+      raceDistance: room.raceDistance,
+      private: room.password !== null,
+    });
+  }
+
+  // Busiest rooms first
+  publicRooms.sort((a, b) => b.playerCount - a.playerCount);
+  res.json({ rooms: publicRooms });
+});
+
 // Track rooms and users with game state
 const rooms = {};
 
@@ -29,21 +121,58 @@ const RACE_STATE = {
 
 // Race settings
 const MIN_PLAYERS_TO_START = 2; // Minimum players needed to start
+const DEFAULT_READY_QUORUM = 1; // Share of racers who must be ready (1 = everyone)
+const MIN_READY_QUORUM = 0.5;
+const AUTO_START_DELAY_MS = 5000; // Lobby countdown once everyone is ready
 const DEFAULT_RACE_DISTANCE = 1000; // Default meters to finish line
+const RACE_MODES = ["classic", "elimination", "timetrial"];
+const TIME_TRIAL_SEED_PREFIX = "TRIAL"; // Time trials race "TRIAL1000" etc.
+const ELIMINATION_INTERVALS = [10000, 20000, 30000, 60000]; // ms between knockouts
+const DEFAULT_ELIMINATION_INTERVAL = 20000;
 const COUNTDOWN_SECONDS = 3;
+const RECONNECT_GRACE_MS = 30000; // How long a dropped racer's car is held
+const DEFAULT_MAX_PLAYERS = 8;
+const MAX_PLAYERS_LIMIT = 16; // Server-wide ceiling for any room
+const MAX_PASSWORD_LENGTH = 64;
+const MAX_PASSWORD_ATTEMPTS = 5; // Password tries allowed per connection...
+const PASSWORD_ATTEMPT_WINDOW_MS = 60000; // ...per this many ms, per room
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O or 1/I
+const MAX_NAME_LENGTH = 16;
+const NAME_PATTERN = /^[\p{L}\p{N} _.'()-]+$/u; // Letters, digits and a little punctuation
+
+// Chat settings
+const MAX_CHAT_LENGTH = 200; // Characters per message
+const CHAT_HISTORY_SIZE = 50; // Messages replayed to new joiners
+const CHAT_RATE_LIMIT = 5; // Messages allowed per window...
+const CHAT_RATE_WINDOW_MS = 5000; // ...per this many ms
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000; // Unused invite links expire after a day
 
 // Game state structure for each room
 // rooms[roomCode] = {
-//   members: [{ id, name }],
+//   members: [{ id, name, bot? }], // bot = skill for server-driven racers
 //   players: { [socketId]: { name, x, worldY, distance, color, stunned, finished, finishTime, position } },
 //   obstacles: [{ id, x, worldY, distance }],
+//   pickups: [{ id, type, x, worldY }], takenPickups: [id], // Power-ups on the road
+//   oilSlicks: [{ id, x, worldY }], // Dropped by racers, gone once someone hits one
 //   nextObstacleId: 0,
 //   lastSpawnWorldY: 0,
-//   creatorId: socketId,
+//   creatorId: socketId, // Current host (migrates when the host leaves)
 //   raceState: 'waiting' | 'countdown' | 'racing' | 'finished',
 //   raceStartTime: null,
 //   countdownStartTime: null,
-//   finishOrder: []
+//   finishOrder: [],
+//   seed: string, seedLocked: false, // Course seed (locked = host picked it)
+//   maxPlayers: 8, // Room capacity (members, including spectators)
+//   chat: [{ name, text, time }], // Recent chat for late joiners
+//   readyQuorum: 1, autoStart: false, autoStartAt: null, // Lobby ready-check
+//   listed: true, // Shown in GET /api/rooms (private rooms start unlisted)
+//   sessions: Map<sessionToken, socketId> // For reconnecting players
+//   password: { salt, hash } | null, // Private rooms only
+//   invites: Map<inviteToken, expiresAt> // One-time links into a private room
+//   passwordAttempts: Map<socketId, { count, since }> // Throttles guessing
+//   replay: { ... } | null, // Race being recorded
+//   replays: [{ id, seed, racers, frames, events, results, ... }] // Newest last
 // }
 
 // Obstacle generation settings
@@ -59,10 +188,129 @@ const ROAD_EXPANSION_INTERVAL = 30000; // 30 seconds
 const ROAD_EXPANSION_RATE = 1.1; // 10% increase
 
 const BASE_GAME_SPEED = 2;
-const MAX_GAME_SPEED = 20; // Chaos mode speed
+const MAX_GAME_SPEED = 20; // Top speed under the Normal rules
 const SPEED_INCREMENT_PER_TICK = 0.0005;
 
-// Colors for other players
+// Movement validation settings (physics values must match client)
+const BOOST_MULTIPLIER = 1.5;
+const BOOST_ENERGY_MAX = 100; // Full boost meter (a nitro refills it)
+const BOOST_DRAIN_PER_SECOND = 40; // 2.5s of boost from full
+const BOOST_RECHARGE_PER_SECOND = 15; // Refills while not boosting or stunned
+const STUN_DURATION = 2000; // 2 seconds
+const CLIENT_FRAME_RATE = 60; // Client physics steps per second
+const DISTANCE_PER_SPEED = 0.1; // Meters per physics step per unit of speed
+const WORLD_Y_PER_METER = PIXELS_PER_METER / DISTANCE_PER_SPEED; // worldY pixels per meter of distance
+const MOVEMENT_TOLERANCE_MS = 250; // Slack for network latency and stun timing
+const MAX_BANKED_MOVEMENT_MS = 1000; // Unused allowance a player can carry forward
+const CORRECTION_GRACE_MS = 500; // Ignore repeat violations while a correction is in flight
+const MAX_MOVEMENT_VIOLATIONS = 5; // Violations before a player is removed...
+const MOVEMENT_VIOLATION_WINDOW_MS = 30000; // ...unless this long passes between them
+const CAR_STEER_SPEED = 5; // Sideways pixels per physics step
+
+// Collision sizes in world pixels (must match client rendering)
+const CAR_WIDTH = 30;
+const CAR_HEIGHT = 50;
+const OBSTACLE_SIZE = 25;
+const PICKUP_SIZE = 20;
+const OIL_SLICK_SIZE = 30;
+
+// Power-ups
+const OIL_DROP_GAP = 10; // World pixels behind the car an oil slick lands
+
+// Car-to-car contact (the carCollisions rule)
+const BUMP_SIDE_GAP = 2; // World pixels left between cars shoved apart
+const BUMP_KNOCKBACK = 10; // Extra world pixels a rear-ender drops back
+
+// Server-driven bot racers, by skill:
+//   pace - share of the room's speed when not boosting
+//   boost - chance of boosting whenever the road ahead is clear
+//   reaction - seconds of road ahead the bot watches for obstacles
+//   awareness - chance the bot notices each obstacle in its way
+//   steer - normalized x per second it can move sideways
+const BOT_SKILLS = {
+  easy: { pace: 0.85, boost: 0.15, reaction: 0.5, awareness: 0.7, steer: 1 },
+  medium: {
+    pace: 0.95,
+    boost: 0.5,
+    reaction: 0.6,
+    awareness: 0.85,
+    steer: 1.4,
+  },
+  hard: { pace: 1, boost: 0.9, reaction: 0.8, awareness: 0.95, steer: 1.8 },
+};
+const BOT_NAMES = { easy: "EasyBot", medium: "MediumBot", hard: "HardBot" };
+const BOT_DECISION_MS = 1000; // How often a bot rethinks boosting
+const BOT_DODGE_MARGIN = 6; // World pixels of clearance when steering round
+const MAX_BOT_STEP_MS = 100; // Don't jump far after a stalled tick
+
+// Race rules the host can tune in the lobby - Normal uses the defaults above
+const RULE_PRESETS = {
+  easy: {
+    stunDuration: 1000,
+    speedIncrement: 0.00025,
+    maxGameSpeed: 10,
+    roadExpansionInterval: 20000,
+    roadExpansionRate: 1.15,
+    obstacleSpacing: 80,
+    countdownSeconds: 5,
+    carCollisions: false,
+  },
+  normal: {
+    stunDuration: STUN_DURATION,
+    speedIncrement: SPEED_INCREMENT_PER_TICK,
+    maxGameSpeed: MAX_GAME_SPEED,
+    roadExpansionInterval: ROAD_EXPANSION_INTERVAL,
+    roadExpansionRate: ROAD_EXPANSION_RATE,
+    obstacleSpacing: OBSTACLE_SPAWN_INTERVAL,
+    countdownSeconds: COUNTDOWN_SECONDS,
+    carCollisions: false,
+  },
+  chaos: {
+    stunDuration: 3000,
+    speedIncrement: 0.002,
+    maxGameSpeed: 30,
+    roadExpansionInterval: 60000,
+    roadExpansionRate: 1.05,
+    obstacleSpacing: 25,
+    countdownSeconds: 3,
+    carCollisions: true,
+  },
+};
+
+// [min, max] for each rule - host values are clamped into these
+const RULE_LIMITS = {
+  stunDuration: [500, 5000], // ms
+  speedIncrement: [0, 0.005], // Game speed added per tick
+  maxGameSpeed: [BASE_GAME_SPEED, 30],
+  roadExpansionInterval: [5000, 120000], // ms
+  roadExpansionRate: [1, 1.5],
+  obstacleSpacing: [20, 200], // meters
+  countdownSeconds: [1, 10],
+};
+
+// On/off rules (anything other than true or false keeps the current rule)
+const RULE_TOGGLES = ["carCollisions"];
+
+// Replay recording settings
+const MAX_REPLAYS_PER_ROOM = 5; // Oldest replay is dropped beyond this
+const REPLAY_FRAME_INTERVAL = 100; // ms of race time between recorded frames
+const MAX_REPLAY_FRAMES = 9000; // 15 minutes at 10 frames per second
+
+// Persistent results settings
+const RESULTS_FILE =
+  process.env.RESULTS_FILE || path.join(__dirname, "data", "results.json");
+const MAX_RESULTS_LIMIT = 100; // Most entries one API request can return
+const TRIAL_RESULTS_PREFIX = "trial"; // Time trial tables are "trial1000" etc.
+
+// Personal bests survive restarts:
+// personalBests[resultsKey][lowercase name] = { name, time, date }
+// where resultsKey is the race distance, or "trial" + distance
+// (null-prototype tables, so a racer called "__proto__" is just a name)
+const personalBests = loadPersonalBests();
+let resultsSaveInProgress = false;
+let resultsSaveQueued = false;
+
+// Colors for other players (one per car up to MAX_PLAYERS_LIMIT)
 const playerColors = [
   "#ff6b6b",
   "#4ecdc4",
@@ -72,164 +320,2142 @@ const playerColors = [
   "#aa96da",
   "#fcbad3",
   "#a8d8ea",
+  "#ff9f43",
+  "#7bed9f",
+  "#70a1ff",
+  "#eccc68",
+  "#ff6bcb",
+  "#1dd1a1",
+  "#c8d6e5",
+  "#feca57",
 ];
 
-function getPlayerColor(index) {
-  return playerColors[index % playerColors.length];
+// Starting grid: 4 cars per row, center lanes fill first
+const GRID_LANES = [0.35, 0.65, 0.05, 0.95]; // Normalized X (52px apart on the base road)
+const GRID_ROW_SPACING = 60; // worldY pixels between rows
+
+// Collapse whitespace in a requested name ("" if it isn't a string)
+function normalizeName(name) {
+  return typeof name === "string" ? name.replace(/\s+/g, " ").trim() : "";
 }
 
-io.on("connection", (socket) => {
-  console.log("A user connected:", socket.id);
+// Why a player name is refused, or null if it's fine
+function getNameError(name) {
+  if (name.length > MAX_NAME_LENGTH) {
+    return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!NAME_PATTERN.test(name)) {
+    return "Names can only use letters, numbers, spaces and _ . ' ( ) -";
+  }
+  return null;
+}
 
-  // Handle join room request
-  socket.on("join-room", (data) => {
-    const { roomCode, name } = data;
+// "bob" becomes "bob (2)" if someone in the room already has it (long
+// names are cut short to fit the number within MAX_NAME_LENGTH)
+function getUniqueName(room, name) {
+  const taken = room.members.map((m) => m.name.toLowerCase());
+  let uniqueName = name;
+  for (let n = 2; taken.includes(uniqueName.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    const base = name.slice(0, MAX_NAME_LENGTH - suffix.length).trimEnd();
+    uniqueName = base + suffix;
+  }
+  return uniqueName;
+}
 
-    if (!roomCode || !name) {
-      socket.emit("error", "Room code and name are required");
-      return;
+// First color no other racer in the room is using
+function getPlayerColor(room) {
+  const used = Object.values(room.players).map((p) => p.color);
+  return playerColors.find((color) => !used.includes(color)) || playerColors[0];
+}
+
+// Lowest grid slot (0-based) not taken by another racer
+function getFreeGridSlot(room) {
+  const used = Object.values(room.players).map((p) => p.gridPosition - 1);
+  let slot = 0;
+  while (used.includes(slot)) slot++;
+  return slot;
+}
+
+// Put a player on their grid slot
+function placeOnGrid(player, gridSlot) {
+  player.x = GRID_LANES[gridSlot % GRID_LANES.length];
+  player.startX = player.x;
+  // Stagger rows back from start line
+  player.worldY = Math.floor(gridSlot / GRID_LANES.length) * GRID_ROW_SPACING;
+  player.startWorldY = player.worldY;
+  player.gridPosition = gridSlot + 1;
+}
+
+// Build the game state for a new racer on the next free grid slot
+function createPlayer(room, name) {
+  const player = {
+    name: name,
+    x: 0, // Grid position (set by placeOnGrid)
+    startX: 0, // Remember starting X for reset
+    worldY: 0, // Staggered start position
+    startWorldY: 0, // Remember for reset
+    distance: 0,
+    color: getPlayerColor(room),
+    stunned: false,
+    stunnedUntil: 0,
+    finished: false,
+    finishTime: null,
+    position: null,
+    personalBest: false, // Finish time beat their all-time best
+    allTimeRank: null, // Where the finish time ranks all-time
+    gridPosition: 0, // 1-based grid position
+    disconnected: false, // Dropped out, waiting to reconnect
+    disconnectedAt: null,
+    lastHitObstacleId: null, // Obstacle that caused the last stun
+    item: null, // Held power-up ("shield", "nitro" or "oil")
+    shielded: false, // Shield up - the next stun is absorbed
+    boostEnergy: BOOST_ENERGY_MAX, // Emptied by boosting and by stuns
+    bumpSeq: 0, // Bumps so far - the client echoes the last one it applied
+    bumpShove: { x: 0, worldY: 0 }, // Shoves the client hasn't applied yet
+    // Movement validation state
+    lastUpdateTime: 0,
+    allowedDistance: 0,
+    lastCorrectionTime: 0,
+    movementViolations: 0,
+    lastViolationTime: 0,
+  };
+
+  placeOnGrid(player, getFreeGridSlot(room));
+  return player;
+}
+
+// A racer the tick loop drives instead of a socket
+function createBot(room, name, skill) {
+  const player = createPlayer(room, name);
+  player.bot = {
+    skill: skill,
+    boosting: false,
+    nextDecisionTime: 0,
+    obstacleId: null, // Obstacle it is currently reacting to
+    seesObstacle: false,
+    dodgeX: 0, // Where it is steering to get round that obstacle
+  };
+  return player;
+}
+
+// Object with no prototype, safe to key by user-chosen names
+function createTable(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+// Read saved personal bests (missing file = no results yet)
+function loadPersonalBests() {
+  const bests = createTable();
+  try {
+    const saved = JSON.parse(fs.readFileSync(RESULTS_FILE, "utf8"));
+    for (const distance of Object.keys(saved)) {
+      bests[distance] = createTable(saved[distance]);
     }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`Could not read results file: ${err.message}`);
+    }
+  }
+  return bests;
+}
 
-    // Join the Socket.io room
-    socket.join(roomCode);
-
-    // Store user info
-    socket.roomCode = roomCode;
-    socket.userName = name;
-
-    // Check if this is a new room (user is creator)
-    const isNewRoom = !rooms[roomCode];
-
-    // Initialize room if needed
-    if (isNewRoom) {
-      rooms[roomCode] = {
-        members: [],
-        players: {},
-        obstacles: [],
-        nextObstacleId: 0,
-        lastSpawnWorldY: 0,
-        furthestWorldY: 0,
-        // Dynamic difficulty state
-        roadWidth: BASE_ROAD_WIDTH,
-        gameSpeed: BASE_GAME_SPEED,
-        lastExpansionTime: Date.now(),
-        createdAt: Date.now(),
-        creatorId: socket.id,
-        // Race state
-        raceState: RACE_STATE.WAITING,
-        raceStartTime: null,
-        countdownStartTime: null,
-        countdownValue: 0,
-        finishOrder: [],
-        raceDistance: DEFAULT_RACE_DISTANCE,
-        pausedAt: null, // Track when race was paused
-      };
+// Write personal bests to disk (one write at a time, via a temp file)
+function savePersonalBests() {
+  if (resultsSaveInProgress) {
+    resultsSaveQueued = true;
+    return;
+  }
+  resultsSaveInProgress = true;
+
+  const tempFile = `${RESULTS_FILE}.tmp`;
+  fs.promises
+    .mkdir(path.dirname(RESULTS_FILE), { recursive: true })
+    .then(() =>
+      fs.promises.writeFile(tempFile, JSON.stringify(personalBests, null, 2)),
+    )
+    .then(() => fs.promises.rename(tempFile, RESULTS_FILE))
+    .catch((err) => console.error(`Could not save results: ${err.message}`))
+    .finally(() => {
+      resultsSaveInProgress = false;
+      if (resultsSaveQueued) {
+        resultsSaveQueued = false;
+        savePersonalBests();
+      }
+    });
+}
+
+// Results table for a distance - time trials are ranked separately
+function getResultsKey(raceDistance, timeTrial) {
+  return timeTrial ? TRIAL_RESULTS_PREFIX + raceDistance : String(raceDistance);
+}
+
+// Results table a finished race counts towards, or null if it doesn't
+// (races under anything but the Normal rules aren't comparable)
+function getRaceResultsKey(room) {
+  if (room.raceMode === "timetrial") {
+    return getResultsKey(room.raceDistance, true);
+  }
+  return getRulesPreset(room.rules) === "normal"
+    ? getResultsKey(room.raceDistance, false)
+    : null;
+}
+
+// Where a time would place among everyone else's personal bests
+function getAllTimeRank(resultsKey, nameKey, time) {
+  const bests = personalBests[resultsKey] || createTable();
+  const faster = Object.keys(bests).filter(
+    (key) => key !== nameKey && bests[key].time < time,
+  );
+  return faster.length + 1;
+}
+
+// Personal bests in one results table, fastest first
+function getAllTimeLeaderboard(resultsKey) {
+  const bests = personalBests[resultsKey] || createTable();
+  return Object.values(bests)
+    .sort((a, b) => a.time - b.time)
+    .map((entry, index) => ({
+      rank: index + 1,
+      name: entry.name,
+      time: entry.time,
+      date: entry.date,
+    }));
+}
+
+// Record a finish time, returning whether it's a PB and its all-time rank
+function recordFinishTime(resultsKey, name, time) {
+  const bests = personalBests[resultsKey] || createTable();
+  personalBests[resultsKey] = bests;
+
+  const nameKey = name.toLowerCase();
+  const previous = Object.hasOwn(bests, nameKey) ? bests[nameKey] : null;
+  const personalBest = !previous || time < previous.time;
+
+  if (personalBest) {
+    bests[nameKey] = { name: name, time: time, date: new Date().toISOString() };
+    savePersonalBests();
+  }
+
+  return {
+    personalBest: personalBest,
+    allTimeRank: getAllTimeRank(resultsKey, nameKey, time),
+  };
+}
+
+// Merge a host's rule changes into the current rules, clamped to
+// RULE_LIMITS (missing or non-numeric values keep the current rule)
+function sanitizeRules(current, requested) {
+  const rules = { ...current };
+  for (const key in RULE_LIMITS) {
+    const value = parseFloat(requested[key]);
+    if (!Number.isFinite(value)) continue;
+
+    const [min, max] = RULE_LIMITS[key];
+    rules[key] = Math.max(min, Math.min(max, value));
+  }
+  rules.countdownSeconds = Math.round(rules.countdownSeconds);
+
+  for (const key of RULE_TOGGLES) {
+    if (typeof requested[key] === "boolean") rules[key] = requested[key];
+  }
+  return rules;
+}
+
+// Name of the preset a set of rules matches, or "custom"
+function getRulesPreset(rules) {
+  const ruleKeys = [...Object.keys(RULE_LIMITS), ...RULE_TOGGLES];
+  const presetName = Object.keys(RULE_PRESETS).find((name) =>
+    ruleKeys.every((key) => RULE_PRESETS[name][key] === rules[key]),
+  );
+  return presetName || "custom";
+}
+
+// worldY pixels between obstacles under the room's rules
+function getObstacleSpacing(room) {
+  return room.rules.obstacleSpacing * PIXELS_PER_METER;
+}
+
+// Start recording a race that has just left the countdown
+function startReplayRecording(room, now) {
+  const racers = {};
+  for (const playerId in room.players) {
+    const player = room.players[playerId];
+    racers[playerId] = { name: player.name, color: player.color };
+  }
+
+  room.replay = {
+    id: room.nextReplayId++,
+    date: new Date(now).toISOString(),
+    seed: room.seed,
+    raceDistance: room.raceDistance,
+    obstacleSpacing: getObstacleSpacing(room),
+    racers: racers,
+    frames: [],
+    events: [],
+    results: [],
+    duration: 0,
+  };
+}
+
+// Record one frame of the race from a snapshot (the final frame is
+// always kept so the replay ends as the last car crosses the line)
+function recordReplayFrame(room, snapshot, final = false) {
+  const replay = room.replay;
+  const lastFrame = replay.frames[replay.frames.length - 1];
+  if (
+    !final &&
+    (replay.frames.length >= MAX_REPLAY_FRAMES ||
+      (lastFrame && snapshot.raceTime - lastFrame.t < REPLAY_FRAME_INTERVAL))
+  ) {
+    return;
+  }
+
+  // [x, worldY, distance, stunned] per player keeps replays small
+  const players = {};
+  for (const playerId in snapshot.players) {
+    const p = snapshot.players[playerId];
+    players[playerId] = [
+      Math.round(p.x * 1000) / 1000,
+      Math.round(p.worldY),
+      Math.round(p.distance * 10) / 10,
+      p.stunned ? 1 : 0,
+    ];
+  }
+
+  replay.frames.push({
+    t: snapshot.raceTime,
+    roadWidth: Math.round(snapshot.roadWidth),
+    players: players,
+  });
+  replay.duration = snapshot.raceTime;
+}
+
+// Add a timeline event (stun, finish, ...) to the race being recorded
+function recordReplayEvent(room, type, playerId, now) {
+  if (!room.replay) return;
+
+  const clockTime = room.raceState === RACE_STATE.PAUSED ? room.pausedAt : now;
+  room.replay.events.push({
+    t: clockTime - room.raceStartTime,
+    type: type,
+    playerId: playerId,
+  });
+}
+
+// Keep a finished recording and tell the room it can be watched
+function saveReplay(roomCode, results) {
+  const room = rooms[roomCode];
+  const replay = room.replay;
+  if (!replay) return;
+
+  recordReplayFrame(room, buildSnapshot(room, Date.now()), true);
+  replay.results = results;
+  room.replays.push(replay);
+  if (room.replays.length > MAX_REPLAYS_PER_ROOM) {
+    room.replays.shift();
+  }
+  room.replay = null;
+
+  io.to(roomCode).emit("replays-updated", {
+    replays: getReplaySummaries(room),
+  });
+}
+
+// Replay list without the frame data
+function getReplaySummaries(room) {
+  return room.replays.map((replay) => ({
+    id: replay.id,
+    date: replay.date,
+    seed: replay.seed,
+    raceDistance: replay.raceDistance,
+    duration: replay.duration,
+    winner: replay.results.length > 0 ? replay.results[0].name : null,
+  }));
+}
+
+// Reset a player's movement allowance (race start, resume, restart)
+function resetMovementValidation(player, now) {
+  player.lastUpdateTime = now;
+  player.allowedDistance = player.distance;
+  player.lastCorrectionTime = 0;
+  player.bumpShove = { x: 0, worldY: 0 };
+}
+
+// A report sent before the client heard about its latest bump, moved by
+// the shove the server already gave the car
+function applyPendingBump(player, data) {
+  if (data.bumpSeq === player.bumpSeq) {
+    player.bumpShove = { x: 0, worldY: 0 };
+    return data;
+  }
+
+  return {
+    ...data,
+    x: data.x + player.bumpShove.x,
+    worldY: data.worldY + player.bumpShove.worldY,
+    distance: data.distance - player.bumpShove.worldY / WORLD_Y_PER_METER,
+  };
+}
+
+// Fastest a player can legally travel right now, in meters per millisecond
+function getMaxMetersPerMs(room) {
+  return (
+    (room.gameSpeed *
+      BOOST_MULTIPLIER *
+      DISTANCE_PER_SPEED *
+      CLIENT_FRAME_RATE) /
+    1000
+  );
+}
+
+// Burn boost energy for up to ms milliseconds - returns how long it lasted
+function drainBoostEnergy(player, ms) {
+  const boostMs = Math.min(
+    ms,
+    (player.boostEnergy / BOOST_DRAIN_PER_SECOND) * 1000,
+  );
+  player.boostEnergy = Math.max(
+    0,
+    player.boostEnergy - (boostMs * BOOST_DRAIN_PER_SECOND) / 1000,
+  );
+  return boostMs;
+}
+
+function rechargeBoostEnergy(player, ms) {
+  player.boostEnergy = Math.min(
+    BOOST_ENERGY_MAX,
+    player.boostEnergy + (ms * BOOST_RECHARGE_PER_SECOND) / 1000,
+  );
+}
+
+// Furthest a player can steer in one millisecond, in normalized x (the
+// narrowest road gives the most road-widths per pixel)
+function getMaxSteerPerMs() {
+  return (
+    (CAR_STEER_SPEED * CLIENT_FRAME_RATE) / 1000 / (BASE_ROAD_WIDTH - CAR_WIDTH)
+  );
+}
+
+// Validate a reported position against what the room's physics allows.
+// Progress is budgeted from elapsed time at the room's speed, minus any time
+// spent inside the server's stun window, with boost only counted for as long
+// as the player had boost energy to burn. Steering is limited to the car's
+// sideways speed, and cars never drive backwards on their own.
+function validatePlayerMovement(room, player, data, now) {
+  const maxMetersPerMs = getMaxMetersPerMs(room);
+  const baseMetersPerMs = maxMetersPerMs / BOOST_MULTIPLIER;
+
+  // Time since the last update that the player was allowed to move
+  const elapsed = Math.max(0, now - player.lastUpdateTime);
+  const stunStart = player.stunnedUntil - room.rules.stunDuration;
+  const stunOverlap = Math.max(
+    0,
+    Math.min(now, player.stunnedUntil) -
+      Math.max(player.lastUpdateTime, stunStart),
+  );
+  player.lastUpdateTime = now;
+
+  const movingMs = elapsed - stunOverlap;
+  const boostMs =
+    data.boosting === true ? drainBoostEnergy(player, movingMs) : 0;
+  rechargeBoostEnergy(player, movingMs - boostMs);
+
+  // Cap unused allowance so idling can't be cashed in as a teleport
+  const bankedLimit =
+    player.distance + MAX_BANKED_MOVEMENT_MS * baseMetersPerMs;
+  player.allowedDistance =
+    Math.min(player.allowedDistance, bankedLimit) +
+    movingMs * baseMetersPerMs +
+    boostMs * (maxMetersPerMs - baseMetersPerMs);
+
+  const tolerance = MOVEMENT_TOLERANCE_MS * maxMetersPerMs;
+  const reportedDistance = Math.max(player.distance, data.distance);
+
+  // Impossible jumps are clamped to the furthest legal position
+  const distanceValid = reportedDistance <= player.allowedDistance + tolerance;
+  const distance = distanceValid
+    ? reportedDistance
+    : Math.min(reportedDistance, player.allowedDistance);
+
+  // Lane changes get the same treatment
+  const maxSteer = getMaxSteerPerMs();
+  const reportedX = Math.max(0, Math.min(1, data.x));
+  const steerValid =
+    Math.abs(reportedX - player.x) <=
+    (elapsed + MOVEMENT_TOLERANCE_MS) * maxSteer;
+  const reach = elapsed * maxSteer;
+  const x = steerValid
+    ? reportedX
+    : Math.max(player.x - reach, Math.min(player.x + reach, reportedX));
+
+  // Forward no further than the distance covered, backward not at all
+  const worldY = Math.min(
+    player.worldY,
+    Math.max(data.worldY, player.startWorldY - distance * WORLD_Y_PER_METER),
+  );
+
+  return {
+    x: x,
+    distance: distance,
+    worldY: worldY,
+    valid: distanceValid && steerValid,
+  };
+}
+
+// Hand host controls to another member and tell the room
+function setRoomHost(roomCode, hostId) {
+  const room = rooms[roomCode];
+  const host = room.members.find((member) => member.id === hostId);
+  if (!host) return;
+
+  room.creatorId = hostId;
+
+  console.log(`Room [${roomCode}] host is now [${host.name}]`);
+
+  io.to(roomCode).emit("host-changed", {
+    hostId: hostId,
+    hostName: host.name,
+    members: room.members,
+  });
+}
+
+// Issue a token that lets a racer reclaim their car after a dropout
+function createSession(room, playerId) {
+  const sessionToken = crypto.randomBytes(16).toString("hex");
+  room.sessions.set(sessionToken, playerId);
+  return sessionToken;
+}
+
+// Racer a session token belongs to, or null if it isn't a live session
+function getSessionPlayerId(room, sessionToken) {
+  if (typeof sessionToken !== "string") return null;
+
+  const playerId = room.sessions.get(sessionToken);
+  return playerId && room.players[playerId] ? playerId : null;
+}
+
+// Passwords are compared trimmed, exactly as the creator's was stored
+function normalizePassword(password) {
+  return typeof password === "string" ? password.trim() : "";
+}
+
+// Salted hash of a room password (the password itself is never stored).
+// scrypt runs off the event loop so checking one doesn't stall every room.
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 32, (err, key) => {
+      if (err) reject(err);
+      else resolve({ salt: salt, hash: key.toString("hex") });
+    });
+  });
+}
+
+function checkPassword(room, password) {
+  return hashPassword(password, room.password.salt).then((attempt) =>
+    crypto.timingSafeEqual(
+      Buffer.from(attempt.hash, "hex"),
+      Buffer.from(room.password.hash, "hex"),
+    ),
+  );
+}
+
+// Count a password attempt from a connection - false once it is out of
+// tries. Counted per socket, not per address: a classroom or a proxy puts
+// everyone on one address, and one guesser mustn't lock them all out.
+function takePasswordAttempt(room, socketId, now) {
+  // Forget connections whose window has passed
+  for (const [key, attempts] of room.passwordAttempts) {
+    if (now - attempts.since > PASSWORD_ATTEMPT_WINDOW_MS) {
+      room.passwordAttempts.delete(key);
     }
+  }
 
-    // Check if race already started - late joiners rejected
-    const room = rooms[roomCode];
-    if (
-      room.raceState === RACE_STATE.RACING ||
-      room.raceState === RACE_STATE.COUNTDOWN ||
-      room.raceState === RACE_STATE.PAUSED
-    ) {
-      socket.emit("error", "Race already in progress. Wait for it to finish.");
-      socket.leave(roomCode);
-      return;
+  const attempts = room.passwordAttempts.get(socketId) || {
+    count: 0,
+    since: now,
+  };
+  if (attempts.count >= MAX_PASSWORD_ATTEMPTS) return false;
+
+  attempts.count++;
+  room.passwordAttempts.set(socketId, attempts);
+  return true;
+}
+
+// Why a join into a private room is refused, or null if it's allowed
+// (resolves once the password, if one was needed, has been checked)
+function getPrivateRoomError(room, data, socketId) {
+  // Players resuming their own session already got in once
+  if (getSessionPlayerId(room, data.sessionToken)) return Promise.resolve(null);
+
+  if (data.inviteToken) {
+    const expiresAt =
+      typeof data.inviteToken === "string"
+        ? room.invites.get(data.inviteToken)
+        : undefined;
+    if (typeof expiresAt !== "number" || expiresAt < Date.now()) {
+      return Promise.resolve(
+        "This invite link has expired or was already used",
+      );
     }
+    room.invites.delete(data.inviteToken); // One use only
+    return Promise.resolve(null);
+  }
+
+  const password = normalizePassword(data.password);
+  if (password === "") {
+    return Promise.resolve(
+      "This room is private - enter the room password to join",
+    );
+  }
 
-    // Add to members list
-    rooms[roomCode].members.push({ id: socket.id, name: name });
+  // Every try counts, so guesses fired in parallel are capped too
+  if (!takePasswordAttempt(room, socketId, Date.now())) {
+    return Promise.resolve(
+      "Too many password attempts - wait a minute and try again",
+    );
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return Promise.resolve("Wrong password for this room");
+  }
 
-    // Calculate starting grid position (staggered rows)
-    const playerIndex = rooms[roomCode].members.length - 1;
-    const gridRow = Math.floor(playerIndex / 2); // 2 cars per row
-    const gridCol = playerIndex % 2; // Left or right side
+  return checkPassword(room, password).then((correct) => {
+    if (!correct) return "Wrong password for this room";
 
-    // X position: alternate left (0.3) and right (0.7) of road
-    const startX = gridCol === 0 ? 0.35 : 0.65;
-    // Y position: stagger rows back from start line
-    const startWorldY = gridRow * 60; // Each row 60 pixels behind
+    room.passwordAttempts.delete(socketId);
+    return null;
+  });
+}
 
-    // Initialize player game state
-    rooms[roomCode].players[socket.id] = {
-      name: name,
-      x: startX, // Grid position
-      startX: startX, // Remember starting X for reset
-      worldY: startWorldY, // Staggered start position
-      startWorldY: startWorldY, // Remember for reset
-      distance: 0,
-      color: getPlayerColor(playerIndex),
-      stunned: false,
-      stunnedUntil: 0,
-      finished: false,
-      finishTime: null,
-      position: null,
-      gridPosition: playerIndex + 1, // 1-based grid position
-    };
+// How many racers are ready and how many the host needs
+function getReadyStatus(room) {
+  const playerCount = Object.keys(room.players).length;
+  const readyCount = room.members.filter(
+    (m) => m.ready && room.players[m.id],
+  ).length;
+  return {
+    readyCount: readyCount,
+    readyNeeded: Math.max(1, Math.ceil(playerCount * room.readyQuorum)),
+    playerCount: playerCount,
+  };
+}
 
-    // Check if we have enough players to start
-    const playerCount = Object.keys(rooms[roomCode].players).length;
-    const canStart = playerCount >= MIN_PLAYERS_TO_START;
+// Time trials can be raced alone
+function getMinPlayers(room) {
+  return room.raceMode === "timetrial" ? 1 : MIN_PLAYERS_TO_START;
+}
 
-    console.log(
-      `User [${name}] joined Room [${roomCode}]${isNewRoom ? " (creator)" : ""} (${playerCount} players)`,
-    );
+// Same course and rules every time so trial times compare fairly
+function setTimeTrialCourse(room) {
+  room.seed = TIME_TRIAL_SEED_PREFIX + room.raceDistance;
+  room.seedLocked = true;
+  room.rules = { ...RULE_PRESETS.normal };
+}
 
-    // Notify the user they joined successfully
-    socket.emit("joined", {
-      roomCode: roomCode,
-      name: name,
-      members: rooms[roomCode].members,
-      playerId: socket.id,
-      playerColor: rooms[roomCode].players[socket.id].color,
-      isCreator: rooms[roomCode].creatorId === socket.id,
-      spawnWorldY: 0,
-      raceState: rooms[roomCode].raceState,
-      raceDistance: rooms[roomCode].raceDistance,
-      canStart: canStart,
-      minPlayers: MIN_PLAYERS_TO_START,
-      playerCount: playerCount,
-    });
+// Enough racers, and enough of them ready
+function canStartRace(room) {
+  const status = getReadyStatus(room);
+  return (
+    status.playerCount >= getMinPlayers(room) &&
+    status.readyCount >= status.readyNeeded
+  );
+}
+
+// Tell the room who is ready, (re)scheduling the auto-start if it's on
+function emitReadyStatus(roomCode) {
+  const room = rooms[roomCode];
+  const status = getReadyStatus(room);
+
+  // Auto-start only once everyone (not just the quorum) is ready
+  const everyoneReady =
+    status.playerCount >= getMinPlayers(room) &&
+    status.readyCount === status.playerCount;
+  if (
+    room.autoStart &&
+    everyoneReady &&
+    room.raceState === RACE_STATE.WAITING
+  ) {
+    if (!room.autoStartAt) room.autoStartAt = Date.now() + AUTO_START_DELAY_MS;
+  } else {
+    room.autoStartAt = null;
+  }
+
+  io.to(roomCode).emit("ready-status", {
+    members: room.members,
+    readyCount: status.readyCount,
+    readyNeeded: status.readyNeeded,
+    playerCount: status.playerCount,
+    canStart: canStartRace(room),
+    readyQuorum: room.readyQuorum,
+    autoStart: room.autoStart,
+    autoStartIn: room.autoStartAt ? room.autoStartAt - Date.now() : null,
+  });
+}
+
+// Begin the 3-2-1 countdown
+function startCountdown(roomCode) {
+  const room = rooms[roomCode];
+  room.raceState = RACE_STATE.COUNTDOWN;
+  room.countdownStartTime = Date.now();
+  room.countdownValue = room.rules.countdownSeconds;
+  room.autoStartAt = null;
+
+  console.log(`Room [${roomCode}] starting countdown...`);
+
+  // Notify all players
+  io.to(roomCode).emit("race-countdown", {
+    countdown: room.rules.countdownSeconds,
+    message: "Race starting!",
+  });
+}
+
+// Longest-connected member who is still online (bots can't host)
+function findNextHost(room) {
+  return room.members.find((member) => !member.disconnected && !member.bot);
+}
+
+// Send the joined payload (new join, resumed session or spectator)
+function emitJoined(socket, roomCode, sessionToken, resumed) {
+  const room = rooms[roomCode];
+  const player = room.players[socket.id];
+  const playerCount = Object.keys(room.players).length;
+  const readyStatus = getReadyStatus(room);
+
+  // Newcomer needs the full state before any deltas make sense
+  room.forceKeyframe = true;
+
+  socket.emit("joined", {
+    roomCode: roomCode,
+    name: socket.userName,
+    members: room.members,
+    playerId: socket.id,
+    playerColor: player ? player.color : null,
+    spectator: !player,
+    isCreator: room.creatorId === socket.id,
+    hostId: room.creatorId,
+    spawnWorldY: resumed ? player.worldY : 0,
+    raceState: room.raceState,
+    raceDistance: room.raceDistance,
+    raceMode: room.raceMode,
+    eliminationInterval: room.eliminationInterval,
+    rules: room.rules,
+    rulesPreset: getRulesPreset(room.rules),
+    ruleLimits: RULE_LIMITS,
+    seed: room.seed,
+    seedLocked: room.seedLocked,
+    canStart: canStartRace(room),
+    minPlayers: getMinPlayers(room),
+    readyQuorum: room.readyQuorum,
+    autoStart: room.autoStart,
+    readyCount: readyStatus.readyCount,
+    readyNeeded: readyStatus.readyNeeded,
+    maxPlayers: room.maxPlayers,
+    maxPlayersLimit: MAX_PLAYERS_LIMIT,
+    listed: room.listed,
+    playerCount: playerCount,
+    sessionToken: sessionToken,
+    resumed: resumed,
+    replays: getReplaySummaries(room),
+    private: room.password !== null,
+    chat: room.chat,
+    // Where to pick the race back up
+    resumeState: resumed
+      ? {
+          x: player.x,
+          distance: player.distance,
+          finished: player.finished,
+          position: player.position,
+        }
+      : null,
+  });
+}
+
+// Move a reconnecting player's state over to their new socket
+function resumePlayer(socket, roomCode, oldId, sessionToken) {
+  const room = rooms[roomCode];
+  const player = room.players[oldId];
+
+  // Drop a stale connection the server hasn't noticed is gone yet
+  const staleSocket = io.sockets.sockets.get(oldId);
+  if (staleSocket && staleSocket !== socket) {
+    staleSocket.resumed = true;
+    staleSocket.disconnect(true);
+  }
+
+  // Re-key everything that references the old socket id
+  delete room.players[oldId];
+  room.players[socket.id] = player;
+  room.sessions.set(sessionToken, socket.id);
+  room.finishOrder = room.finishOrder.map((id) =>
+    id === oldId ? socket.id : id,
+  );
+  const member = room.members.find((m) => m.id === oldId);
+  member.id = socket.id;
+  member.disconnected = false;
+  if (room.creatorId === oldId) {
+    room.creatorId = socket.id;
+  }
+
+  player.disconnected = false;
+  player.disconnectedAt = null;
+  resetMovementValidation(player, Date.now());
+
+  // Frames recorded from now on use the new id
+  if (room.replay && room.replay.racers[oldId]) {
+    room.replay.racers[socket.id] = room.replay.racers[oldId];
+  }
+
+  socket.userName = player.name;
+
+  console.log(`User [${player.name}] resumed in Room [${roomCode}]`);
+
+  emitJoined(socket, roomCode, sessionToken, true);
+
+  socket.to(roomCode).emit("user-rejoined", {
+    playerId: socket.id,
+    name: player.name,
+    members: room.members,
+  });
+
+  // Take over as host if the current one is gone
+  const host = room.members.find((m) => m.id === room.creatorId);
+  if (!host || host.disconnected) {
+    setRoomHost(roomCode, socket.id);
+  }
+}
+
+// Remove a player from the room for good ("kicked"/"banned" when the host did it)
+function removePlayer(roomCode, playerId, removal = null) {
+  const room = rooms[roomCode];
+  const member = room.members.find((m) => m.id === playerId);
+  const name = member ? member.name : room.players[playerId].name;
+
+  // Racers who quit mid-race show up in the replay timeline
+  if (room.players[playerId]) {
+    recordReplayEvent(room, "left", playerId, Date.now());
+  }
+
+  // Remove from members and player state
+  room.members = room.members.filter((user) => user.id !== playerId);
+  delete room.players[playerId];
+
+  // Their session can no longer be resumed
+  for (const [token, sessionPlayerId] of room.sessions) {
+    if (sessionPlayerId === playerId) {
+      room.sessions.delete(token);
+    }
+  }
+
+  if (removal) {
+    console.log(`User [${name}] was ${removal} from Room [${roomCode}]`);
+  } else {
+    console.log(`User [${name}] left Room [${roomCode}]`);
+  }
+
+  const playerCount = Object.keys(room.players).length;
+
+  // Notify others in the room
+  io.to(roomCode).emit("user-left", {
+    playerId: playerId,
+    name: name,
+    members: room.members,
+    playerCount: playerCount,
+    canStart: canStartRace(room),
+    removed: removal,
+  });
+
+  // Clean up empty rooms (bots don't keep a room open)
+  if (!room.members.some((member) => !member.bot)) {
+    delete rooms[roomCode];
+    return;
+  }
+
+  // Fewer racers changes the quorum (and may cancel an auto-start)
+  if (room.raceState === RACE_STATE.WAITING) {
+    emitReadyStatus(roomCode);
+  }
+
+  // Host left - hand over to the longest-connected member
+  if (room.creatorId === playerId) {
+    const nextHost = findNextHost(room);
+    if (nextHost) setRoomHost(roomCode, nextHost.id);
+  }
+
+  // The remaining racers may all be across the line already
+  finishRaceIfComplete(roomCode);
+}
+
+// Racers still on track, last place first (the leaderboard's ordering)
+function getOnTrackRacers(room) {
+  return Object.keys(room.players)
+    .filter((id) => !room.players[id].finished)
+    .sort((a, b) => room.players[a].distance - room.players[b].distance);
+}
+
+// Knock a racer out of an elimination race - they watch the rest
+function eliminatePlayer(roomCode, playerId, now) {
+  const room = rooms[roomCode];
+  const player = room.players[playerId];
+
+  recordReplayEvent(room, "eliminated", playerId, now);
+  room.eliminated.push({
+    playerId: playerId,
+    name: player.name,
+    distance: Math.floor(player.distance),
+  });
+  delete room.players[playerId];
+
+  const member = room.members.find((m) => m.id === playerId);
+  member.spectator = true;
+
+  console.log(`Player [${player.name}] eliminated in Room [${roomCode}]`);
+
+  io.to(roomCode).emit("player-eliminated", {
+    playerId: playerId,
+    name: player.name,
+    distance: Math.floor(player.distance),
+    remaining: getOnTrackRacers(room).length,
+    members: room.members,
+  });
+
+  // Nobody to hold a spot for once they're out
+  if (member.disconnected) {
+    removePlayer(roomCode, playerId);
+  }
+}
+
+// Elimination mode - knock out last place each time the interval comes round
+function checkElimination(roomCode, now) {
+  const room = rooms[roomCode];
+  const onTrack = getOnTrackRacers(room);
+
+  // Last car standing wins if nobody reached the line first
+  if (
+    onTrack.length === 1 &&
+    room.eliminated.length > 0 &&
+    room.finishOrder.length === 0
+  ) {
+    finishPlayer(roomCode, onTrack[0], now, false);
+    return;
+  }
+
+  if (now - room.raceStartTime < room.nextEliminationTime) return;
+  room.nextEliminationTime += room.eliminationInterval;
+
+  if (onTrack.length >= 2) {
+    eliminatePlayer(roomCode, onTrack[0], now);
+  }
+}
+
+// Host moderation - take a member out of the room (and optionally ban them)
+function kickMember(roomCode, targetId, banned) {
+  const room = rooms[roomCode];
+
+  // Bans go by session: a classroom shares one network address, and a
+  // name can be changed (or innocently reused) too easily to ban on. It's
+  // best-effort - a new browser tab is a new session.
+  if (banned) {
+    for (const [token, playerId] of room.sessions) {
+      if (playerId === targetId) room.bannedSessions.add(token);
+    }
+  }
+
+  // Pull their socket out of the room (it may already be gone mid-race)
+  const targetSocket = io.sockets.sockets.get(targetId);
+  if (targetSocket) {
+    targetSocket.emit("kicked", { roomCode: roomCode, banned: banned });
+    targetSocket.leave(roomCode);
+    targetSocket.roomCode = null;
+  }
+
+  removePlayer(roomCode, targetId, banned ? "banned" : "kicked");
+}
+
+// Put a player across the line, record the time and tell the room
+// (crossedLine is false for the last car standing in elimination mode)
+function finishPlayer(roomCode, playerId, now, crossedLine = true) {
+  const room = rooms[roomCode];
+  const player = room.players[playerId];
+
+  player.finished = true;
+  player.finishTime = now - room.raceStartTime;
+  room.finishOrder.push(playerId);
+  player.position = room.finishOrder.length;
+
+  // Compare against the all-time results for this distance (bots don't count)
+  const resultsKey = getRaceResultsKey(room);
+  const record =
+    crossedLine && !player.bot && resultsKey
+      ? recordFinishTime(resultsKey, player.name, player.finishTime)
+      : { personalBest: false, allTimeRank: null };
+  player.personalBest = record.personalBest;
+  player.allTimeRank = record.allTimeRank;
+  recordReplayEvent(room, "finished", playerId, now);
+
+  console.log(
+    `Player [${player.name}] finished in position ${player.position}!${player.personalBest ? " (PB)" : ""}`,
+  );
+
+  // Notify all players
+  io.to(roomCode).emit("player-finished", {
+    playerId: playerId,
+    name: player.name,
+    position: player.position,
+    time: player.finishTime,
+    personalBest: player.personalBest,
+    allTimeRank: player.allTimeRank,
+    lastStanding: !crossedLine,
+  });
+
+  // Check if all players finished
+  finishRaceIfComplete(roomCode);
+}
+
+// End the race once everyone still in the room has finished
+function finishRaceIfComplete(roomCode) {
+  const room = rooms[roomCode];
+  const players = Object.values(room.players);
+
+  if (
+    (room.raceState !== RACE_STATE.RACING &&
+      room.raceState !== RACE_STATE.PAUSED) ||
+    players.length === 0 ||
+    !players.every((p) => p.finished)
+  ) {
+    return;
+  }
+
+  room.raceState = RACE_STATE.FINISHED;
+  const results = room.finishOrder
+    .filter((id) => room.players[id])
+    .map((id) => ({
+      playerId: id,
+      position: room.players[id].position,
+      name: room.players[id].name,
+      time: room.players[id].finishTime,
+      personalBest: room.players[id].personalBest,
+      allTimeRank: room.players[id].allTimeRank,
+    }));
+
+  // Knocked-out racers rank behind everyone still in, last one out first
+  room.eliminated
+    .slice()
+    .reverse()
+    .forEach((entry) => {
+      results.push({
+        playerId: entry.playerId,
+        position: results.length + 1,
+        name: entry.name,
+        time: null,
+        distance: entry.distance,
+        eliminated: true,
+      });
+    });
+
+  io.to(roomCode).emit("race-finished", {
+    seed: room.seed,
+    results: results,
+  });
+
+  saveReplay(roomCode, results);
+}
+
+// Player fields clients need (validation/timer state stays on the server)
+const PUBLIC_PLAYER_FIELDS = [
+  "name",
+  "x",
+  "worldY",
+  "distance",
+  "color",
+  "stunned",
+  "finished",
+  "finishTime",
+  "position",
+  "disconnected",
+  "item",
+  "shielded",
+];
+
+// Room-level fields that go out in every keyframe
+const ROOM_STATE_FIELDS = [
+  "roadWidth",
+  "gameSpeed",
+  "raceState",
+  "raceDistance",
+  "raceTime",
+  "seed",
+  "obstacleSpacing",
+  "nextEliminationTime",
+  "takenPickups",
+  "oilSlicks",
+];
+
+// Full broadcast state for a room
+function buildSnapshot(room, now) {
+  const players = {};
+  for (const playerId in room.players) {
+    const player = room.players[playerId];
+    const publicState = {};
+    for (const field of PUBLIC_PLAYER_FIELDS) {
+      publicState[field] = player[field];
+    }
+    players[playerId] = publicState;
+  }
+
+  // Race clock stands still while paused
+  let raceTime = 0;
+  if (room.raceStartTime) {
+    const clockTime =
+      room.raceState === RACE_STATE.PAUSED ? room.pausedAt : now;
+    raceTime = clockTime - room.raceStartTime;
+  }
+
+  return {
+    players: players,
+    roadWidth: room.roadWidth,
+    gameSpeed: room.raceState === RACE_STATE.RACING ? room.gameSpeed : 0,
+    raceState: room.raceState,
+    raceDistance: room.raceDistance,
+    raceTime: raceTime,
+    // Obstacles are rebuilt client-side from the seed
+    seed: room.seed,
+    obstacleSpacing: getObstacleSpacing(room),
+    // Race time of the next knockout (elimination mode only)
+    nextEliminationTime: room.nextEliminationTime,
+    // Pickups are rebuilt from the seed too - these are the ones gone
+    takenPickups: room.takenPickups,
+    oilSlicks: room.oilSlicks,
+  };
+}
+
+// Changes between two snapshots, or null if nothing changed
+function buildDelta(previous, current) {
+  const delta = {};
+  let changed = false;
+
+  for (const field of ROOM_STATE_FIELDS) {
+    if (current[field] !== previous[field]) {
+      delta[field] = current[field];
+      changed = true;
+    }
+  }
+
+  // Only the fields that changed for each player (new players in full)
+  const players = {};
+  for (const playerId in current.players) {
+    const before = previous.players[playerId];
+    const after = current.players[playerId];
+    if (!before) {
+      players[playerId] = after;
+      changed = true;
+      continue;
+    }
+
+    let playerDelta = null;
+    for (const field of PUBLIC_PLAYER_FIELDS) {
+      if (after[field] !== before[field]) {
+        playerDelta = playerDelta || {};
+        playerDelta[field] = after[field];
+      }
+    }
+    if (playerDelta) {
+      players[playerId] = playerDelta;
+      changed = true;
+    }
+  }
+  delta.players = players;
+
+  const removed = Object.keys(previous.players).filter(
+    (playerId) => !current.players[playerId],
+  );
+  if (removed.length > 0) {
+    delta.removed = removed;
+    changed = true;
+  }
+
+  return changed ? delta : null;
+}
+
+// Find an obstacle the car touched while moving between two world Y
+// positions. The sweep covers the whole path so fast cars can't tunnel.
+function findObstacleHit(room, player, fromWorldY, toWorldY) {
+  const spacing = getObstacleSpacing(room);
+  const top = Math.min(fromWorldY, toWorldY);
+  const bottom = Math.max(fromWorldY, toWorldY) + CAR_HEIGHT;
+
+  // Same normalized-x mapping the client uses to draw cars and obstacles
+  const carLeft = player.x * (room.roadWidth - CAR_WIDTH);
+  const carRight = carLeft + CAR_WIDTH;
+
+  const nearby = Course.getObstaclesInRange(
+    room.seed,
+    top - OBSTACLE_SIZE,
+    bottom,
+    spacing,
+  );
+  return nearby.find((obs) => {
+    if (obs.id === player.lastHitObstacleId) return false;
+
+    const obsLeft = obs.x * (room.roadWidth - OBSTACLE_SIZE);
+    return (
+      carLeft < obsLeft + OBSTACLE_SIZE &&
+      carRight > obsLeft &&
+      top < obs.worldY + OBSTACLE_SIZE &&
+      bottom > obs.worldY
+    );
+  });
+}
+
+// Stun a player and tell the room (clients flicker the car)
+function stunPlayer(roomCode, playerId, now) {
+  const room = rooms[roomCode];
+  const player = room.players[playerId];
+
+  // A shield soaks up one stun
+  if (player.shielded) {
+    player.shielded = false;
+    io.to(roomCode).emit("shield-used", {
+      playerId: playerId,
+      name: player.name,
+    });
+    return;
+  }
+
+  player.stunned = true;
+  player.stunnedUntil = now + room.rules.stunDuration;
+  player.boostEnergy = 0;
+  recordReplayEvent(room, "stunned", playerId, now);
+
+  io.to(roomCode).emit("player-stunned", {
+    playerId: playerId,
+    duration: room.rules.stunDuration,
+  });
+}
+
+// Whether the car's sweep between two world Y positions touches a square
+// track object (normalized x, same mapping the client draws with)
+function sweepTouches(room, player, fromWorldY, toWorldY, object, size) {
+  const top = Math.min(fromWorldY, toWorldY);
+  const bottom = Math.max(fromWorldY, toWorldY) + CAR_HEIGHT;
+  const carLeft = player.x * (room.roadWidth - CAR_WIDTH);
+  const objectLeft = object.x * (room.roadWidth - size);
+  return (
+    carLeft < objectLeft + size &&
+    carLeft + CAR_WIDTH > objectLeft &&
+    top < object.worldY + size &&
+    bottom > object.worldY
+  );
+}
+
+// Hand a racer the pickup they drove over (the server has the final say)
+function collectPickup(roomCode, playerId, pickup) {
+  const room = rooms[roomCode];
+  const player = room.players[playerId];
+
+  room.pickups = room.pickups.filter((p) => p !== pickup);
+  room.takenPickups = [...room.takenPickups, pickup.id];
+  player.item = pickup.type;
+
+  io.to(roomCode).emit("pickup-collected", {
+    playerId: playerId,
+    name: player.name,
+    pickupId: pickup.id,
+    item: pickup.type,
+  });
+}
+
+// Fire a racer's held item
+function useItem(roomCode, playerId, now) {
+  const room = rooms[roomCode];
+  const player = room.players[playerId];
+  const item = player.item;
+  player.item = null;
+
+  if (item === "shield") {
+    player.shielded = true;
+  } else if (item === "nitro") {
+    player.boostEnergy = BOOST_ENERGY_MAX;
+  } else if (item === "oil") {
+    // Centered behind the car
+    const carCenter = player.x * (room.roadWidth - CAR_WIDTH) + CAR_WIDTH / 2;
+    const slickX =
+      (carCenter - OIL_SLICK_SIZE / 2) / (room.roadWidth - OIL_SLICK_SIZE);
+    room.oilSlicks = [
+      ...room.oilSlicks,
+      {
+        id: room.nextOilSlickId++,
+        x: Math.max(0, Math.min(1, slickX)),
+        worldY: player.worldY + CAR_HEIGHT + OIL_DROP_GAP,
+      },
+    ];
+  }
+
+  io.to(roomCode).emit("item-used", {
+    playerId: playerId,
+    name: player.name,
+    item: item,
+  });
+}
+
+// Obstacles, oil slicks and pickups a car touched since previousWorldY
+function resolveTrackContacts(roomCode, playerId, previousWorldY, now) {
+  const room = rooms[roomCode];
+  const player = room.players[playerId];
+
+  if (!player.stunned) {
+    const hit = findObstacleHit(room, player, previousWorldY, player.worldY);
+    if (hit) {
+      player.lastHitObstacleId = hit.id;
+      stunPlayer(roomCode, playerId, now);
+    }
+  }
+
+  // Oil slicks are used up by whoever skids on them
+  if (!player.stunned) {
+    const slick = room.oilSlicks.find((s) =>
+      sweepTouches(
+        room,
+        player,
+        previousWorldY,
+        player.worldY,
+        s,
+        OIL_SLICK_SIZE,
+      ),
+    );
+    if (slick) {
+      room.oilSlicks = room.oilSlicks.filter((s) => s !== slick);
+      stunPlayer(roomCode, playerId, now);
+    }
+  }
+
+  // One held item at a time - full hands drive straight over pickups
+  if (!player.item) {
+    const pickup = room.pickups.find((p) =>
+      sweepTouches(room, player, previousWorldY, player.worldY, p, PICKUP_SIZE),
+    );
+    if (pickup) collectPickup(roomCode, playerId, pickup);
+  }
+}
+
+// Cars others can run into - frozen, stunned and finished cars are
+// passed straight through
+function isSolidCar(player) {
+  return !player.finished && !player.disconnected && !player.stunned;
+}
+
+// Push apart any cars that overlap. Mostly-alongside contact shoves both
+// cars sideways; driving into the car ahead drops the chaser back behind it.
+function resolveCarCollisions(roomCode) {
+  const room = rooms[roomCode];
+  const usableWidth = room.roadWidth - CAR_WIDTH;
+  const racerIds = Object.keys(room.players).filter((id) =>
+    isSolidCar(room.players[id]),
+  );
+
+  for (let i = 0; i < racerIds.length; i++) {
+    for (let j = i + 1; j < racerIds.length; j++) {
+      const a = room.players[racerIds[i]];
+      const b = room.players[racerIds[j]];
+
+      // Same normalized-x mapping the client uses to draw cars
+      const dx = (b.x - a.x) * usableWidth;
+      const dy = b.worldY - a.worldY;
+      const overlapX = CAR_WIDTH - Math.abs(dx);
+      const overlapY = CAR_HEIGHT - Math.abs(dy);
+      if (overlapX <= 0 || overlapY <= 0) continue;
+
+      const positions = {};
+      let kind;
+      if (overlapX / CAR_WIDTH < overlapY / CAR_HEIGHT) {
+        kind = "side";
+
+        // Each car takes half the shove (dead level cars split toward
+        // whichever side has more road)
+        const push = (overlapX + BUMP_SIDE_GAP) / 2 / usableWidth;
+        const direction = dx > 0 || (dx === 0 && a.x > 0.5) ? 1 : -1;
+        const aX = Math.max(0, Math.min(1, a.x - push * direction));
+        const bX = Math.max(0, Math.min(1, b.x + push * direction));
+
+        positions[racerIds[i]] = { dx: aX - a.x };
+        positions[racerIds[j]] = { dx: bX - b.x };
+        a.bumpShove.x += aX - a.x;
+        b.bumpShove.x += bX - b.x;
+        a.x = aX;
+        b.x = bX;
+      } else {
+        kind = "rear";
+
+        // The car further back (larger worldY) ran into the other
+        const chaserId = dy > 0 ? racerIds[j] : racerIds[i];
+        const chaser = room.players[chaserId];
+        const leader = chaser === a ? b : a;
+
+        const knockedWorldY = leader.worldY + CAR_HEIGHT + BUMP_KNOCKBACK;
+        chaser.bumpShove.worldY += knockedWorldY - chaser.worldY;
+        chaser.worldY = knockedWorldY;
+        chaser.distance = Math.max(
+          0,
+          (chaser.startWorldY - chaser.worldY) / WORLD_Y_PER_METER,
+        );
+
+        // Lost ground can't be won back from banked allowance
+        chaser.allowedDistance = Math.min(
+          chaser.allowedDistance,
+          chaser.distance,
+        );
+
+        positions[chaserId] = {
+          worldY: chaser.worldY,
+          distance: chaser.distance,
+        };
+      }
+
+      for (const playerId in positions) {
+        positions[playerId].bumpSeq = ++room.players[playerId].bumpSeq;
+      }
+
+      // Shoves are in normalized x on the server's road width
+      io.to(roomCode).emit("cars-bumped", {
+        kind: kind,
+        playerIds: [racerIds[i], racerIds[j]],
+        positions: positions,
+        roadWidth: room.roadWidth,
+      });
+    }
+  }
+}
+
+// Nearest obstacle a bot would hit driving straight at normalized x
+// (ignoring the one that already stunned it)
+function findObstacleAhead(room, player, x, lookAheadWorldY) {
+  const carLeft = x * (room.roadWidth - CAR_WIDTH);
+  const nearby = Course.getObstaclesInRange(
+    room.seed,
+    player.worldY - lookAheadWorldY,
+    player.worldY + CAR_HEIGHT,
+    getObstacleSpacing(room),
+  );
+  return nearby.find((obs) => {
+    if (obs.id === player.lastHitObstacleId) return false;
+
+    const obsLeft = obs.x * (room.roadWidth - OBSTACLE_SIZE);
+    return (
+      carLeft < obsLeft + OBSTACLE_SIZE + BOT_DODGE_MARGIN &&
+      carLeft + CAR_WIDTH > obsLeft - BOT_DODGE_MARGIN
+    );
+  });
+}
+
+// Normalized x that clears an obstacle - the side with open road behind
+// it if there is one, otherwise the nearer side
+function getDodgeX(room, player, obs, lookAheadWorldY) {
+  const usableWidth = room.roadWidth - CAR_WIDTH;
+  const obsLeft = obs.x * (room.roadWidth - OBSTACLE_SIZE);
+  const sides = [
+    (obsLeft - CAR_WIDTH - BOT_DODGE_MARGIN) / usableWidth,
+    (obsLeft + OBSTACLE_SIZE + BOT_DODGE_MARGIN) / usableWidth,
+  ].filter((x) => x >= 0 && x <= 1);
+
+  const isBlocked = (x) => {
+    const next = findObstacleAhead(room, player, x, lookAheadWorldY);
+    return next && next.id !== obs.id ? 1 : 0;
+  };
+  sides.sort(
+    (a, b) =>
+      isBlocked(a) - isBlocked(b) ||
+      Math.abs(a - player.x) - Math.abs(b - player.x),
+  );
+  return sides[0];
+}
+
+// Car close ahead of a bot and overlapping its lane, if any
+function findCarAhead(room, playerId, lookAheadWorldY) {
+  const player = room.players[playerId];
+  const usableWidth = room.roadWidth - CAR_WIDTH;
+  const carId = Object.keys(room.players).find((id) => {
+    const other = room.players[id];
+    if (id === playerId || !isSolidCar(other)) return false;
+
+    const ahead = player.worldY - other.worldY;
+    return (
+      ahead > 0 &&
+      ahead < CAR_HEIGHT + lookAheadWorldY &&
+      Math.abs(other.x - player.x) * usableWidth < CAR_WIDTH + BOT_DODGE_MARGIN
+    );
+  });
+  return carId ? room.players[carId] : null;
+}
+
+// Steer, boost and move a bot for one tick - obstacles stun it and the
+// finish line counts just like for a socket-driven racer
+function driveBot(roomCode, playerId, now) {
+  const room = rooms[roomCode];
+  const player = room.players[playerId];
+  const bot = player.bot;
+  const skill = BOT_SKILLS[bot.skill];
+
+  const elapsed = Math.min(now - player.lastUpdateTime, MAX_BOT_STEP_MS);
+  player.lastUpdateTime = now;
+  if (player.stunned) {
+    bot.boosting = false;
+    return;
+  }
+
+  // Each obstacle in the way is either noticed or missed, once
+  const worldYPerSecond =
+    room.gameSpeed *
+    BOOST_MULTIPLIER *
+    DISTANCE_PER_SPEED *
+    CLIENT_FRAME_RATE *
+    WORLD_Y_PER_METER;
+  const lookAheadWorldY = skill.reaction * worldYPerSecond;
+  const obstacle = findObstacleAhead(room, player, player.x, lookAheadWorldY);
+  if (obstacle && obstacle.id !== bot.obstacleId) {
+    bot.obstacleId = obstacle.id;
+    bot.seesObstacle = Math.random() < skill.awareness;
+    bot.dodgeX = getDodgeX(room, player, obstacle, lookAheadWorldY);
+  }
+  const dodging = Boolean(obstacle && bot.seesObstacle);
+  let targetX = dodging ? bot.dodgeX : null;
+
+  // With car collisions on, pull out to pass a car sitting in the lane
+  if (!dodging && room.rules.carCollisions) {
+    const car = findCarAhead(room, playerId, CAR_HEIGHT);
+    if (car) {
+      const offset =
+        (CAR_WIDTH + BOT_DODGE_MARGIN) / (room.roadWidth - CAR_WIDTH);
+      targetX = car.x > 0.5 ? car.x - offset : car.x + offset;
+    }
+  }
+  const steering = targetX !== null;
+
+  if (steering) {
+    const maxStep = (skill.steer * elapsed) / 1000;
+    const step = targetX - player.x;
+    const x = Math.max(
+      0,
+      Math.min(1, player.x + Math.max(-maxStep, Math.min(maxStep, step))),
+    );
+
+    // Don't swerve into an obstacle alongside or just ahead
+    if (!findObstacleAhead(room, player, x, OBSTACLE_SIZE + CAR_HEIGHT)) {
+      player.x = x;
+    }
+  }
+
+  // Boost now and then, but not while swerving
+  if (now >= bot.nextDecisionTime) {
+    bot.nextDecisionTime = now + BOT_DECISION_MS;
+    bot.boosting = Math.random() < skill.boost;
+  }
+  const boostMs =
+    bot.boosting && !steering ? drainBoostEnergy(player, elapsed) : 0;
+  rechargeBoostEnergy(player, elapsed - boostMs);
+
+  const metersPerMs =
+    (room.gameSpeed * skill.pace * DISTANCE_PER_SPEED * CLIENT_FRAME_RATE) /
+    1000;
+  const meters = metersPerMs * (elapsed + boostMs * (BOOST_MULTIPLIER - 1));
+  const previousWorldY = player.worldY;
+  player.distance += meters;
+  player.worldY -= meters * WORLD_Y_PER_METER;
+
+  resolveTrackContacts(roomCode, playerId, previousWorldY, now);
+
+  // Bots fire whatever they pick up straight away
+  if (player.item) {
+    useItem(roomCode, playerId, now);
+  }
+
+  if (player.distance >= room.raceDistance) {
+    finishPlayer(roomCode, playerId, now);
+  }
+}
+
+// Check that a player-update payload carries usable numbers
+function isValidPlayerUpdate(data) {
+  return (
+    data &&
+    Number.isFinite(data.x) &&
+    Number.isFinite(data.worldY) &&
+    Number.isFinite(data.distance)
+  );
+}
+
+// Readable room code that no open room is using
+function generateRoomCode() {
+  let roomCode;
+  do {
+    roomCode = "";
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      roomCode += ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)];
+    }
+  } while (rooms[roomCode]);
+  return roomCode;
+}
+
+// Fresh room state - the creator joins it straight after
+// (password is the hashed password, or null for an open room)
+function createRoom(creatorId, password) {
+  return {
+    members: [],
+    players: {},
+    obstacles: [],
+    nextObstacleId: 0,
+    lastSpawnWorldY: 0,
+    furthestWorldY: 0,
+    // Power-ups (arrays are replaced, not mutated, so deltas notice changes)
+    pickups: [],
+    takenPickups: [],
+    oilSlicks: [],
+    nextOilSlickId: 0,
+    // Dynamic difficulty state
+    roadWidth: BASE_ROAD_WIDTH,
+    gameSpeed: BASE_GAME_SPEED,
+    lastExpansionTime: Date.now(),
+    createdAt: Date.now(),
+    creatorId: creatorId,
+    // Race state
+    raceState: RACE_STATE.WAITING,
+    raceStartTime: null,
+    countdownStartTime: null,
+    countdownValue: 0,
+    finishOrder: [],
+    raceDistance: DEFAULT_RACE_DISTANCE,
+    raceMode: "classic",
+    eliminationInterval: DEFAULT_ELIMINATION_INTERVAL,
+    eliminated: [], // Knocked out this race, in order
+    nextEliminationTime: null,
+    pausedAt: null, // Track when race was paused
+    sessions: new Map(),
+    // Course seed - random unless the host picks one
+    seed: Course.randomSeed(),
+    seedLocked: false,
+    // Broadcast state (keyframes + deltas)
+    lastSnapshot: null,
+    lastKeyframeTime: 0,
+    forceKeyframe: true,
+    // Race replays
+    replay: null,
+    replays: [],
+    nextReplayId: 1,
+    maxPlayers: DEFAULT_MAX_PLAYERS,
+    rules: { ...RULE_PRESETS.normal },
+    chat: [],
+    bannedSessions: new Set(), // Session tokens the host has banned
+    // Lobby ready-check
+    readyQuorum: DEFAULT_READY_QUORUM,
+    autoStart: false,
+    autoStartAt: null,
+    // Private rooms
+    password: password,
+    invites: new Map(),
+    passwordAttempts: new Map(),
+    listed: !password,
+  };
+}
+
+// Put a socket into an existing room (resuming, spectating or as a racer)
+function enterRoom(socket, roomCode, name, sessionToken) {
+  // One room at a time - leave whatever we were in before
+  if (socket.roomCode && socket.roomCode !== roomCode) {
+    leaveCurrentRoom(socket);
+  }
+
+  // Join the Socket.io room
+  socket.join(roomCode);
+
+  // Store user info
+  socket.roomCode = roomCode;
+  socket.userName = name;
+
+  // First one in is the creator
+  const isNewRoom = rooms[roomCode].members.length === 0;
+
+  // Resume a player who dropped out mid-race
+  const room = rooms[roomCode];
+  const resumeId = getSessionPlayerId(room, sessionToken);
+  if (resumeId) {
+    resumePlayer(socket, roomCode, resumeId, sessionToken);
+    return;
+  }
+
+  // Two players can't share a name - the newcomer gets a number
+  name = getUniqueName(room, name);
+  socket.userName = name;
+
+  // Race already started - late joiners watch as spectators
+  if (
+    room.raceState === RACE_STATE.RACING ||
+    room.raceState === RACE_STATE.COUNTDOWN ||
+    room.raceState === RACE_STATE.PAUSED
+  ) {
+    room.members.push({ id: socket.id, name: name, spectator: true });
+
+    console.log(`User [${name}] spectating Room [${roomCode}]`);
+
+    // Spectators get a session too, so the host can ban them
+    emitJoined(socket, roomCode, createSession(room, socket.id), false);
+
+    const playerCount = Object.keys(room.players).length;
+    socket.to(roomCode).emit("user-joined", {
+      playerId: socket.id,
+      name: name,
+      members: room.members,
+      playerCount: playerCount,
+      canStart: canStartRace(room),
+      spectator: true,
+    });
+    return;
+  }
+
+  // Add to members list
+  rooms[roomCode].members.push({ id: socket.id, name: name, ready: false });
+
+  // Initialize player game state at the next grid slot
+  rooms[roomCode].players[socket.id] = createPlayer(rooms[roomCode], name);
+
+  // Check if we have enough (ready) players to start
+  const playerCount = Object.keys(rooms[roomCode].players).length;
+  const canStart = canStartRace(rooms[roomCode]);
+
+  console.log(
+    `User [${name}] joined Room [${roomCode}]${isNewRoom ? " (creator)" : ""} (${playerCount} players)`,
+  );
+
+  // Issue a session token so the player can resume after a dropout
+  const newSessionToken = createSession(rooms[roomCode], socket.id);
+
+  // Notify the user they joined successfully
+  emitJoined(socket, roomCode, newSessionToken, false);
+
+  // Notify others in the room about new player and updated player count
+  socket.to(roomCode).emit("user-joined", {
+    playerId: socket.id,
+    name: name,
+    members: rooms[roomCode].members,
+    playerCount: playerCount,
+    canStart: canStart,
+  });
+
+  // A new racer who isn't ready yet holds up any auto-start
+  emitReadyStatus(roomCode);
+}
+
+// Take a socket out of whatever room it is in (New Room, or joining another)
+function leaveCurrentRoom(socket) {
+  const roomCode = socket.roomCode;
+  if (!roomCode) return;
+
+  socket.leave(roomCode);
+  socket.roomCode = null;
+
+  const room = rooms[roomCode];
+  if (room && room.members.some((m) => m.id === socket.id)) {
+    removePlayer(roomCode, socket.id);
+  }
+}
+
+io.on("connection", (socket) => {
+  console.log("A user connected:", socket.id);
+
+  // Handle create room request - the server picks the code
+  socket.on("create-room", (data) => {
+    const name = normalizeName(data && data.name);
+    if (!name) {
+      socket.emit("error", "Name is required");
+      return;
+    }
+
+    const nameError = getNameError(name);
+    if (nameError) {
+      socket.emit("error", nameError);
+      return;
+    }
+
+    // Only the creator picks a password, when the room is first made
+    const password = normalizePassword(data.password);
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      socket.emit(
+        "error",
+        `Password must be at most ${MAX_PASSWORD_LENGTH} characters`,
+      );
+      return;
+    }
+
+    const hashing = password ? hashPassword(password) : Promise.resolve(null);
+    hashing
+      .then((passwordHash) => {
+        // Gone while the password was hashed
+        if (!socket.connected) return;
+
+        // Leave first so an emptied old room can't clash with anything
+        leaveCurrentRoom(socket);
+
+        const roomCode = generateRoomCode();
+        rooms[roomCode] = createRoom(socket.id, passwordHash);
+
+        enterRoom(socket, roomCode, name, null);
+      })
+      .catch((err) => {
+        console.error(`Could not create room: ${err.message}`);
+        socket.emit("error", "Could not create the room - try again");
+      });
+  });
+
+  // Handle join room request (existing rooms only)
+  socket.on("join-room", (data) => {
+    const roomCode =
+      data && typeof data.roomCode === "string"
+        ? data.roomCode.trim().toUpperCase()
+        : "";
+    const name = normalizeName(data && data.name);
+
+    if (!roomCode || !name) {
+      socket.emit("error", "Room code and name are required");
+      return;
+    }
+
+    const nameError = getNameError(name);
+    if (nameError) {
+      socket.emit("error", nameError);
+      return;
+    }
+
+    const room = rooms[roomCode];
+    if (!room) {
+      socket.emit(
+        "error",
+        `Room [${roomCode}] doesn't exist - check the code or create a new room`,
+      );
+      return;
+    }
+
+    if (room.bannedSessions.has(data.sessionToken)) {
+      socket.emit("error", "You have been banned from this room");
+      return;
+    }
+
+    // Private rooms need the password (or an invite link)
+    const access = room.password
+      ? getPrivateRoomError(room, data, socket.id)
+      : Promise.resolve(null);
+    access
+      .then((accessError) => {
+        // The room or the socket went away while the password was checked
+        if (rooms[roomCode] !== room || !socket.connected) return;
+
+        if (accessError) {
+          socket.emit("error", accessError);
+          return;
+        }
+
+        // Room full - resuming players already have their place
+        if (
+          room.members.length >= room.maxPlayers &&
+          !getSessionPlayerId(room, data.sessionToken)
+        ) {
+          socket.emit(
+            "error",
+            `Room is full (${room.members.length}/${room.maxPlayers} players)`,
+          );
+          return;
+        }
+
+        enterRoom(socket, roomCode, name, data.sessionToken);
+      })
+      .catch((err) => {
+        console.error(`Could not join Room [${roomCode}]: ${err.message}`);
+        socket.emit("error", "Could not join the room - try again");
+      });
+  });
+
+  // Handle LEAVE ROOM (New Room button)
+  socket.on("leave-room", () => {
+    leaveCurrentRoom(socket);
+  });
+
+  // Handle READY toggle (racers, in the lobby)
+  socket.on("toggle-ready", () => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+    const member = room.members.find((m) => m.id === socket.id);
+    if (!member || !room.players[socket.id]) return;
+
+    if (room.raceState !== RACE_STATE.WAITING) {
+      socket.emit("error", "Can only change ready state before race starts");
+      return;
+    }
+
+    member.ready = !member.ready;
+    console.log(
+      `User [${member.name}] is ${member.ready ? "ready" : "not ready"} in Room [${roomCode}]`,
+    );
+
+    emitReadyStatus(roomCode);
+  });
+
+  // Handle SET READY RULES request (only creator, only in waiting state)
+  socket.on("set-ready-rules", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the room creator can change ready rules");
+      return;
+    }
+
+    if (room.raceState !== RACE_STATE.WAITING) {
+      socket.emit("error", "Can only change ready rules before race starts");
+      return;
+    }
+
+    const quorum = parseFloat(data && data.quorum);
+    if (!isNaN(quorum)) {
+      room.readyQuorum = Math.max(MIN_READY_QUORUM, Math.min(1, quorum));
+    }
+    if (data && data.autoStart !== undefined) {
+      room.autoStart = Boolean(data.autoStart);
+    }
+
+    console.log(
+      `Room [${roomCode}] ready quorum ${Math.round(room.readyQuorum * 100)}%, auto-start ${room.autoStart ? "on" : "off"}`,
+    );
+
+    emitReadyStatus(roomCode);
+  });
+
+  // Handle SET RACE DISTANCE request (only creator, only in waiting state)
+  socket.on("set-race-distance", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    // Only creator can set distance
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the room creator can set race distance");
+      return;
+    }
+
+    // Only in waiting state
+    if (room.raceState !== RACE_STATE.WAITING) {
+      socket.emit("error", "Can only set distance before race starts");
+      return;
+    }
+
+    const distance = parseInt(data.distance) || DEFAULT_RACE_DISTANCE;
+    room.raceDistance = Math.max(100, Math.min(10000, distance)); // Clamp between 100-10000m
+
+    console.log(
+      `Room [${roomCode}] race distance set to ${room.raceDistance}m`,
+    );
+
+    // Notify all players
+    io.to(roomCode).emit("race-distance-changed", {
+      distance: room.raceDistance,
+    });
+
+    // Each distance has its own time-trial course
+    if (room.raceMode === "timetrial") {
+      setTimeTrialCourse(room);
+      io.to(roomCode).emit("race-seed-changed", {
+        seed: room.seed,
+        locked: room.seedLocked,
+      });
+    }
+  });
+
+  // Handle SET RACE MODE request (only creator, only in waiting state)
+  socket.on("set-race-mode", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the host can change the race mode");
+      return;
+    }
+
+    if (room.raceState !== RACE_STATE.WAITING) {
+      socket.emit("error", "Can only change mode before race starts");
+      return;
+    }
+
+    if (!data || !RACE_MODES.includes(data.mode)) {
+      socket.emit("error", "Unknown race mode");
+      return;
+    }
+
+    // Time trials pin the course; leaving one goes back to random courses
+    if (data.mode === "timetrial") {
+      setTimeTrialCourse(room);
+    } else if (room.raceMode === "timetrial") {
+      room.seed = Course.randomSeed();
+      room.seedLocked = false;
+    }
+    room.raceMode = data.mode;
+
+    // Unlisted intervals keep the current one
+    const interval = parseInt(data.eliminationInterval);
+    if (ELIMINATION_INTERVALS.includes(interval)) {
+      room.eliminationInterval = interval;
+    }
+
+    console.log(
+      `Room [${roomCode}] race mode set to ${room.raceMode}${room.raceMode === "elimination" ? ` (every ${room.eliminationInterval / 1000}s)` : ""}`,
+    );
+
+    io.to(roomCode).emit("race-mode-changed", {
+      mode: room.raceMode,
+      eliminationInterval: room.eliminationInterval,
+      minPlayers: getMinPlayers(room),
+      seed: room.seed,
+      seedLocked: room.seedLocked,
+      rules: room.rules,
+      rulesPreset: getRulesPreset(room.rules),
+    });
+
+    // One racer may now be enough (or no longer)
+    emitReadyStatus(roomCode);
+  });
+
+  // Handle SET RACE RULES request (only creator, only in waiting state)
+  socket.on("set-race-rules", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the host can change the race rules");
+      return;
+    }
+
+    if (room.raceState !== RACE_STATE.WAITING) {
+      socket.emit("error", "Can only change rules before race starts");
+      return;
+    }
+
+    if (room.raceMode === "timetrial") {
+      socket.emit("error", "Time trials always use the Normal rules");
+      return;
+    }
+
+    // Either a named preset or individual rule values
+    const presetName = data && data.preset;
+    if (presetName) {
+      if (!Object.hasOwn(RULE_PRESETS, presetName)) {
+        socket.emit("error", "Unknown rules preset");
+        return;
+      }
+      room.rules = { ...RULE_PRESETS[presetName] };
+    } else {
+      room.rules = sanitizeRules(room.rules, (data && data.rules) || {});
+    }
+
+    const preset = getRulesPreset(room.rules);
+    console.log(`Room [${roomCode}] race rules set to ${preset}`);
+
+    io.to(roomCode).emit("race-rules-changed", {
+      rules: room.rules,
+      preset: preset,
+    });
+  });
+
+  // Handle SET MAX PLAYERS request (only creator, only in waiting state)
+  socket.on("set-max-players", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the room creator can set max players");
+      return;
+    }
+
+    if (room.raceState !== RACE_STATE.WAITING) {
+      socket.emit("error", "Can only set max players before race starts");
+      return;
+    }
+
+    // Never below the players already here
+    const maxPlayers = parseInt(data && data.maxPlayers) || DEFAULT_MAX_PLAYERS;
+    room.maxPlayers = Math.max(
+      MIN_PLAYERS_TO_START,
+      room.members.length,
+      Math.min(MAX_PLAYERS_LIMIT, maxPlayers),
+    );
+
+    console.log(`Room [${roomCode}] max players set to ${room.maxPlayers}`);
+
+    io.to(roomCode).emit("max-players-changed", {
+      maxPlayers: room.maxPlayers,
+    });
+  });
+
+  // Handle SET ROOM VISIBILITY request (only creator)
+  socket.on("set-room-visibility", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the room creator can change room visibility");
+      return;
+    }
+
+    room.listed = Boolean(data && data.listed);
+
+    console.log(
+      `Room [${roomCode}] is now ${room.listed ? "listed" : "unlisted"}`,
+    );
 
-    // Notify others in the room about new player and updated player count
-    socket.to(roomCode).emit("user-joined", {
-      name: name,
-      members: rooms[roomCode].members,
-      playerCount: playerCount,
-      canStart: canStart,
-    });
+    io.to(roomCode).emit("room-visibility-changed", { listed: room.listed });
   });
 
-  // Handle SET RACE DISTANCE request (only creator, only in waiting state)
-  socket.on("set-race-distance", (data) => {
+  // Handle SET RACE SEED request (only creator, only in waiting state)
+  socket.on("set-race-seed", (data) => {
     const roomCode = socket.roomCode;
     if (!roomCode || !rooms[roomCode]) return;
 
     const room = rooms[roomCode];
 
-    // Only creator can set distance
+    // Only creator can set the seed
     if (room.creatorId !== socket.id) {
-      socket.emit("error", "Only the room creator can set race distance");
+      socket.emit("error", "Only the room creator can set the course seed");
       return;
     }
 
     // Only in waiting state
     if (room.raceState !== RACE_STATE.WAITING) {
-      socket.emit("error", "Can only set distance before race starts");
+      socket.emit("error", "Can only set the course seed before race starts");
       return;
     }
 
-    const distance = parseInt(data.distance) || DEFAULT_RACE_DISTANCE;
-    room.raceDistance = Math.max(100, Math.min(10000, distance)); // Clamp between 100-10000m
+    if (room.raceMode === "timetrial") {
+      socket.emit("error", "Time trials always use the same course");
+      return;
+    }
 
-    console.log(
-      `Room [${roomCode}] race distance set to ${room.raceDistance}m`,
-    );
+    // An empty seed goes back to a random course each race
+    const seed = Course.normalizeSeed(data && data.seed);
+    room.seed = seed || Course.randomSeed();
+    room.seedLocked = !!seed;
+
+    console.log(`Room [${roomCode}] course seed set to ${room.seed}`);
 
     // Notify all players
-    io.to(roomCode).emit("race-distance-changed", {
-      distance: room.raceDistance,
+    io.to(roomCode).emit("race-seed-changed", {
+      seed: room.seed,
+      locked: room.seedLocked,
     });
   });
 
@@ -247,12 +2473,10 @@ io.on("connection", (socket) => {
     }
 
     // Check minimum players
-    const playerCount = Object.keys(room.players).length;
-    if (playerCount < MIN_PLAYERS_TO_START) {
-      socket.emit(
-        "error",
-        `Need at least ${MIN_PLAYERS_TO_START} players to start`,
-      );
+    const status = getReadyStatus(room);
+    const minPlayers = getMinPlayers(room);
+    if (status.playerCount < minPlayers) {
+      socket.emit("error", `Need at least ${minPlayers} players to start`);
       return;
     }
 
@@ -262,18 +2486,16 @@ io.on("connection", (socket) => {
       return;
     }
 
-    // Start countdown
-    room.raceState = RACE_STATE.COUNTDOWN;
-    room.countdownStartTime = Date.now();
-    room.countdownValue = COUNTDOWN_SECONDS;
-
-    console.log(`Room [${roomCode}] starting countdown...`);
+    // Check the ready quorum
+    if (status.readyCount < status.readyNeeded) {
+      socket.emit(
+        "error",
+        `Waiting for players to be ready (${status.readyCount}/${status.readyNeeded})`,
+      );
+      return;
+    }
 
-    // Notify all players
-    io.to(roomCode).emit("race-countdown", {
-      countdown: COUNTDOWN_SECONDS,
-      message: "Race starting!",
-    });
+    startCountdown(roomCode);
   });
 
   // Handle PAUSE/RESUME race (only creator)
@@ -297,10 +2519,16 @@ io.on("connection", (socket) => {
       io.to(roomCode).emit("race-paused", { message: "Race paused by host" });
     } else if (room.raceState === RACE_STATE.PAUSED) {
       // Resume the race
-      const pauseDuration = Date.now() - room.pausedAt;
+      const now = Date.now();
+      const pauseDuration = now - room.pausedAt;
       room.raceStartTime += pauseDuration; // Adjust start time to account for pause
       room.raceState = RACE_STATE.RACING;
       room.pausedAt = null;
+
+      // Paused time doesn't count towards movement allowance
+      for (const playerId in room.players) {
+        resetMovementValidation(room.players[playerId], now);
+      }
       console.log(`Room [${roomCode}] race resumed`);
       io.to(roomCode).emit("race-resumed", { message: "Race resumed!" });
     }
@@ -314,44 +2542,63 @@ io.on("connection", (socket) => {
       const player = room.players[socket.id];
 
       // Only allow movement during racing state
-      if (room.raceState === RACE_STATE.RACING && !player.finished) {
-        player.x = data.x;
-        player.worldY = data.worldY !== undefined ? data.worldY : player.worldY;
-        player.distance = data.distance;
-        player.stunned = data.stunned || false;
-
-        // Check if player crossed finish line
-        if (player.distance >= room.raceDistance && !player.finished) {
-          player.finished = true;
-          player.finishTime = Date.now() - room.raceStartTime;
-          room.finishOrder.push(socket.id);
-          player.position = room.finishOrder.length;
-
-          console.log(
-            `Player [${player.name}] finished in position ${player.position}!`,
-          );
+      if (
+        room.raceState === RACE_STATE.RACING &&
+        !player.finished &&
+        isValidPlayerUpdate(data)
+      ) {
+        const now = Date.now();
+
+        // Reports sent before a bump reached the client would undo it
+        const report = applyPendingBump(player, data);
+
+        const movement = validatePlayerMovement(room, player, report, now);
+        const previousWorldY = player.worldY;
+        player.x = movement.x;
+        player.worldY = movement.worldY;
+        player.distance = movement.distance;
+
+        // Resolve hits and pickups on the server - clients don't get a say
+        resolveTrackContacts(roomCode, socket.id, previousWorldY, now);
+
+        // Reported progress exceeds what physics allows - snap the client back
+        if (!movement.valid) {
+          if (now - player.lastCorrectionTime > CORRECTION_GRACE_MS) {
+            // Lag spikes far apart don't add up to a kick
+            if (now - player.lastViolationTime > MOVEMENT_VIOLATION_WINDOW_MS) {
+              player.movementViolations = 0;
+            }
+            player.movementViolations++;
+            player.lastViolationTime = now;
+            console.log(
+              `Player [${player.name}] movement rejected (${player.movementViolations}/${MAX_MOVEMENT_VIOLATIONS})`,
+            );
+          }
+          player.lastCorrectionTime = now;
+
+          if (player.movementViolations >= MAX_MOVEMENT_VIOLATIONS) {
+            console.log(
+              `Player [${player.name}] removed from Room [${roomCode}] for invalid movement`,
+            );
+            socket.emit(
+              "error",
+              "Removed from race: invalid movement detected",
+            );
+            socket.kicked = true; // No reconnect grace period
+            socket.disconnect(true);
+            return;
+          }
 
-          // Notify all players
-          io.to(roomCode).emit("player-finished", {
-            name: player.name,
-            position: player.position,
-            time: player.finishTime,
+          socket.emit("position-corrected", {
+            x: player.x,
+            worldY: player.worldY,
+            distance: player.distance,
           });
+        }
 
-          // Check if all players finished
-          const allFinished = Object.values(room.players).every(
-            (p) => p.finished,
-          );
-          if (allFinished) {
-            room.raceState = RACE_STATE.FINISHED;
-            io.to(roomCode).emit("race-finished", {
-              results: room.finishOrder.map((id, index) => ({
-                position: index + 1,
-                name: room.players[id].name,
-                time: room.players[id].finishTime,
-              })),
-            });
-          }
+        // Check if player crossed finish line
+        if (player.distance >= room.raceDistance && !player.finished) {
+          finishPlayer(roomCode, socket.id, now);
         }
       }
     }
@@ -370,34 +2617,61 @@ io.on("connection", (socket) => {
       return;
     }
 
-    // Reset all players to starting grid position
+    // Spectators join the grid for the next race
+    for (const member of room.members) {
+      if (!member.spectator) continue;
+
+      member.spectator = false;
+
+      // Knocked-out bots just go back on the grid
+      if (member.bot) {
+        room.players[member.id] = createBot(room, member.name, member.bot);
+        continue;
+      }
+
+      member.ready = false;
+      room.players[member.id] = createPlayer(room, member.name);
+
+      const sessionToken = createSession(room, member.id);
+
+      io.to(member.id).emit("spectator-promoted", {
+        playerColor: room.players[member.id].color,
+        sessionToken: sessionToken,
+      });
+    }
+
+    // Reset all players to starting grid position (closing any gaps)
     let playerIndex = 0;
     for (const playerId in room.players) {
       const player = room.players[playerId];
 
-      // Calculate grid position (same logic as joining)
-      const gridRow = Math.floor(playerIndex / 2);
-      const gridCol = playerIndex % 2;
-      const startX = gridCol === 0 ? 0.35 : 0.65;
-      const startWorldY = gridRow * 60;
-
-      player.worldY = startWorldY;
-      player.startWorldY = startWorldY;
+      placeOnGrid(player, playerIndex);
       player.distance = 0;
-      player.x = startX;
-      player.startX = startX;
       player.stunned = false;
       player.stunnedUntil = 0;
+      player.lastHitObstacleId = null;
       player.finished = false;
       player.finishTime = null;
       player.position = null;
-      player.gridPosition = playerIndex + 1;
+      player.personalBest = false;
+      player.allTimeRank = null;
+      player.movementViolations = 0;
+      player.item = null;
+      player.shielded = false;
+      player.boostEnergy = BOOST_ENERGY_MAX;
+      if (player.bot) {
+        player.bot.boosting = false;
+        player.bot.obstacleId = null;
+      }
 
       playerIndex++;
     }
 
-    // Clear obstacles
+    // Clear obstacles and power-ups
     room.obstacles = [];
+    room.pickups = [];
+    room.takenPickups = [];
+    room.oilSlicks = [];
     room.nextObstacleId = 0;
     room.lastSpawnWorldY = 0;
     room.furthestWorldY = 0;
@@ -407,15 +2681,28 @@ io.on("connection", (socket) => {
     room.gameSpeed = BASE_GAME_SPEED;
     room.lastExpansionTime = Date.now();
 
+    // Fresh course unless the host pinned a seed
+    if (!room.seedLocked) {
+      room.seed = Course.randomSeed();
+    }
+
     // Reset race state
     room.raceState = RACE_STATE.WAITING;
     room.raceStartTime = null;
     room.countdownStartTime = null;
     room.countdownValue = 0;
     room.finishOrder = [];
+    room.eliminated = [];
+    room.nextEliminationTime = null;
+    room.replay = null; // An unfinished race isn't kept
+
+    // Everyone readies up again for the next race (bots always are)
+    for (const member of room.members) {
+      member.ready = Boolean(member.bot);
+    }
 
     const playerCount = Object.keys(room.players).length;
-    const canStart = playerCount >= MIN_PLAYERS_TO_START;
+    const canStart = canStartRace(room);
 
     console.log(`Room [${roomCode}] restarted by creator`);
 
@@ -425,58 +2712,357 @@ io.on("connection", (socket) => {
       raceState: room.raceState,
       canStart: canStart,
       playerCount: playerCount,
+      seed: room.seed,
     });
+    emitReadyStatus(roomCode);
   });
 
-  // Handle collision report from client
-  socket.on("collision", () => {
+  // Handle TRANSFER HOST request (only current host)
+  socket.on("transfer-host", (data) => {
     const roomCode = socket.roomCode;
-    if (roomCode && rooms[roomCode] && rooms[roomCode].players[socket.id]) {
-      const player = rooms[roomCode].players[socket.id];
-      player.stunned = true;
-      player.stunnedUntil = Date.now() + 2000; // 2 seconds stun
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    // Only the current host can hand over
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the host can transfer host controls");
+      return;
+    }
+
+    const targetId = data && data.targetId;
+    const target = room.members.find((member) => member.id === targetId);
+    if (targetId === socket.id || !target) {
+      socket.emit("error", "Player not found in this room");
+      return;
     }
+
+    if (target.bot) {
+      socket.emit("error", "Bots can't be the host");
+      return;
+    }
+
+    setRoomHost(roomCode, targetId);
   });
 
-  // Handle disconnect
-  socket.on("disconnect", () => {
-    if (socket.roomCode && rooms[socket.roomCode]) {
-      // Remove from members
-      rooms[socket.roomCode].members = rooms[socket.roomCode].members.filter(
-        (user) => user.id !== socket.id,
+  // Handle KICK request (only current host)
+  socket.on("kick-player", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the host can kick players");
+      return;
+    }
+
+    const targetId = data && data.targetId;
+    if (
+      targetId === socket.id ||
+      !room.members.some((member) => member.id === targetId)
+    ) {
+      socket.emit("error", "Player not found in this room");
+      return;
+    }
+
+    kickMember(roomCode, targetId, false);
+  });
+
+  // Handle BAN request (only current host)
+  socket.on("ban-player", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the host can ban players");
+      return;
+    }
+
+    const targetId = data && data.targetId;
+    if (
+      targetId === socket.id ||
+      !room.members.some((member) => member.id === targetId)
+    ) {
+      socket.emit("error", "Player not found in this room");
+      return;
+    }
+
+    kickMember(roomCode, targetId, true);
+  });
+
+  // Handle ADD BOT request (only current host, in the lobby)
+  socket.on("add-bot", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the host can add bots");
+      return;
+    }
+
+    if (room.raceState !== RACE_STATE.WAITING) {
+      socket.emit("error", "Can only add bots before race starts");
+      return;
+    }
+
+    const skill = data && data.skill;
+    if (!Object.hasOwn(BOT_SKILLS, skill)) {
+      socket.emit("error", "Unknown bot skill");
+      return;
+    }
+
+    // Bots take a seat like anyone else
+    if (room.members.length >= room.maxPlayers) {
+      socket.emit(
+        "error",
+        `Room is full (${room.members.length}/${room.maxPlayers} players)`,
       );
+      return;
+    }
+
+    const botId = `bot-${crypto.randomBytes(6).toString("hex")}`;
+    const name = getUniqueName(room, BOT_NAMES[skill]);
+    room.members.push({ id: botId, name: name, ready: true, bot: skill });
+    room.players[botId] = createBot(room, name, skill);
+
+    console.log(`Bot [${name}] (${skill}) added to Room [${roomCode}]`);
+
+    io.to(roomCode).emit("user-joined", {
+      playerId: botId,
+      name: name,
+      members: room.members,
+      playerCount: Object.keys(room.players).length,
+      canStart: canStartRace(room),
+      bot: skill,
+    });
+    emitReadyStatus(roomCode);
+  });
+
+  // Handle REMOVE BOT request (only current host)
+  socket.on("remove-bot", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+
+    if (room.creatorId !== socket.id) {
+      socket.emit("error", "Only the host can remove bots");
+      return;
+    }
+
+    const targetId = data && data.targetId;
+    const member = room.members.find((m) => m.id === targetId);
+    if (!member || !member.bot) {
+      socket.emit("error", "Bot not found in this room");
+      return;
+    }
+
+    removePlayer(roomCode, targetId, "removed");
+  });
+
+  // Handle USE ITEM (a racer fires their held power-up)
+  socket.on("use-item", () => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+    const player = room.players[socket.id];
+    if (
+      !player ||
+      !player.item ||
+      player.finished ||
+      room.raceState !== RACE_STATE.RACING
+    ) {
+      return;
+    }
+
+    useItem(roomCode, socket.id, Date.now());
+  });
 
-      // Remove player state
-      delete rooms[socket.roomCode].players[socket.id];
+  // Handle chat messages from anyone in the room (racers and spectators)
+  socket.on("chat-message", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
 
-      console.log(`User [${socket.userName}] left Room [${socket.roomCode}]`);
+    const room = rooms[roomCode];
+    const member = room.members.find((m) => m.id === socket.id);
+    if (!member) return;
+
+    // Strip control characters and collapse whitespace
+    const text =
+      data && typeof data.text === "string"
+        ? data.text
+            .replace(/[\u0000-\u001f\u007f]/g, " ")
+            .replace(/\s+/g, " ")
+            .trim()
+        : "";
+    if (!text) return;
+    if (text.length > MAX_CHAT_LENGTH) {
+      socket.emit(
+        "error",
+        `Chat messages can be at most ${MAX_CHAT_LENGTH} characters`,
+      );
+      return;
+    }
 
-      // Notify others in the room
-      io.to(socket.roomCode).emit("user-left", {
-        name: socket.userName,
-        members: rooms[socket.roomCode].members,
+    // Rate limit: a handful of messages per window
+    const now = Date.now();
+    socket.chatTimes = (socket.chatTimes || []).filter(
+      (time) => now - time < CHAT_RATE_WINDOW_MS,
+    );
+    if (socket.chatTimes.length >= CHAT_RATE_LIMIT) {
+      socket.emit("chat-rate-limited", {
+        retryIn: CHAT_RATE_WINDOW_MS - (now - socket.chatTimes[0]),
       });
+      return;
+    }
+    socket.chatTimes.push(now);
 
-      // Clean up empty rooms
-      if (rooms[socket.roomCode].members.length === 0) {
-        delete rooms[socket.roomCode];
-      }
+    const message = {
+      playerId: socket.id,
+      name: member.name,
+      text: text,
+      time: now,
+    };
+    room.chat.push(message);
+    if (room.chat.length > CHAT_HISTORY_SIZE) {
+      room.chat.shift();
+    }
+
+    io.to(roomCode).emit("chat-message", message);
+  });
+
+  // Create a one-time invite link into a private room
+  socket.on("create-invite", () => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const room = rooms[roomCode];
+    if (!room.members.some((member) => member.id === socket.id)) return;
+
+    if (!room.password) {
+      socket.emit("error", "Invite links are only needed for private rooms");
+      return;
+    }
+
+    // Forget invites nobody used
+    const now = Date.now();
+    for (const [token, expiresAt] of room.invites) {
+      if (expiresAt < now) room.invites.delete(token);
+    }
+
+    const inviteToken = crypto.randomBytes(12).toString("hex");
+    room.invites.set(inviteToken, now + INVITE_TTL_MS);
+
+    socket.emit("invite-created", { roomCode: roomCode, inviteToken });
+  });
+
+  // Send a recorded race to a player who wants to watch it
+  socket.on("get-replay", (data) => {
+    const roomCode = socket.roomCode;
+    if (!roomCode || !rooms[roomCode]) return;
+
+    const replayId = data && parseInt(data.replayId);
+    const replay = rooms[roomCode].replays.find((r) => r.id === replayId);
+    if (!replay) {
+      socket.emit("error", "Replay not found");
+      return;
+    }
+
+    socket.emit("replay-data", replay);
+  });
+
+  // Handle disconnect
+  socket.on("disconnect", () => {
+    // Superseded by a newer connection from the same player
+    if (socket.resumed) return;
+
+    const roomCode = socket.roomCode;
+    const room = rooms[roomCode];
+    if (!room || !room.members.some((m) => m.id === socket.id)) return;
+
+    const raceInProgress =
+      room.raceState === RACE_STATE.COUNTDOWN ||
+      room.raceState === RACE_STATE.RACING ||
+      room.raceState === RACE_STATE.PAUSED;
+
+    // Spectators have no car to hold
+    if (!raceInProgress || socket.kicked || !room.players[socket.id]) {
+      removePlayer(roomCode, socket.id);
+      return;
+    }
+
+    // Mid-race dropout - freeze the car and hold the spot for a while
+    const player = room.players[socket.id];
+    player.disconnected = true;
+    player.disconnectedAt = Date.now();
+    const member = room.members.find((m) => m.id === socket.id);
+    member.disconnected = true;
+
+    console.log(
+      `User [${socket.userName}] lost connection to Room [${roomCode}]`,
+    );
+
+    const playerCount = Object.keys(room.players).length;
+    io.to(roomCode).emit("user-left", {
+      playerId: socket.id,
+      name: socket.userName,
+      members: room.members,
+      playerCount: playerCount,
+      canStart: canStartRace(room),
+      reconnecting: true,
+    });
+
+    // Someone still connected needs to be able to pause/restart
+    if (room.creatorId === socket.id) {
+      const nextHost = findNextHost(room);
+      if (nextHost) setRoomHost(roomCode, nextHost.id);
     }
   });
 });
 
 // Game state broadcast loop - 30 TPS (ticks per second)
 const TICK_RATE = 30;
+const KEYFRAME_INTERVAL = 5000; // ms between full game-state snapshots
+
 setInterval(() => {
   const now = Date.now();
 
   for (const roomCode in rooms) {
     const room = rooms[roomCode];
+
+    // Drop players whose reconnect grace period has run out
+    for (const playerId in room.players) {
+      const player = room.players[playerId];
+      if (
+        player.disconnected &&
+        now - player.disconnectedAt >= RECONNECT_GRACE_MS
+      ) {
+        removePlayer(roomCode, playerId);
+      }
+    }
+    if (!rooms[roomCode]) continue;
+
     if (room.members.length > 0) {
+      // Everyone has been ready long enough - start without the host
+      if (
+        room.raceState === RACE_STATE.WAITING &&
+        room.autoStartAt &&
+        now >= room.autoStartAt
+      ) {
+        startCountdown(roomCode);
+      }
+
       // Handle countdown state
       if (room.raceState === RACE_STATE.COUNTDOWN) {
         const elapsed = now - room.countdownStartTime;
-        const newCountdown = COUNTDOWN_SECONDS - Math.floor(elapsed / 1000);
+        const newCountdown =
+          room.rules.countdownSeconds - Math.floor(elapsed / 1000);
 
         if (newCountdown !== room.countdownValue && newCountdown >= 0) {
           room.countdownValue = newCountdown;
@@ -487,14 +3073,22 @@ setInterval(() => {
         }
 
         // Countdown finished - start race!
-        if (elapsed >= COUNTDOWN_SECONDS * 1000) {
+        if (elapsed >= room.rules.countdownSeconds * 1000) {
           room.raceState = RACE_STATE.RACING;
           room.raceStartTime = now;
           room.gameSpeed = BASE_GAME_SPEED;
+          room.eliminated = [];
+          room.nextEliminationTime =
+            room.raceMode === "elimination" ? room.eliminationInterval : null;
+          for (const playerId in room.players) {
+            resetMovementValidation(room.players[playerId], now);
+          }
+          startReplayRecording(room, now);
           console.log(`Room [${roomCode}] race started!`);
           io.to(roomCode).emit("race-started", {
             raceDistance: room.raceDistance,
             startTime: room.raceStartTime,
+            seed: room.seed,
           });
         }
       }
@@ -509,16 +3103,38 @@ setInterval(() => {
           }
         }
 
+        // Bots drive themselves (the race may end as one crosses the line)
+        for (const playerId in room.players) {
+          const player = room.players[playerId];
+          if (
+            player.bot &&
+            !player.finished &&
+            room.raceState === RACE_STATE.RACING
+          ) {
+            driveBot(roomCode, playerId, now);
+          }
+        }
+
+        // Cars bump into each other when the room's rules allow it
+        if (room.rules.carCollisions) {
+          resolveCarCollisions(roomCode);
+        }
+
+        // Elimination mode knocks out last place on a timer
+        if (room.nextEliminationTime !== null) {
+          checkElimination(roomCode, now);
+        }
+
         // Dynamic difficulty: Increase game speed slowly each tick
-        if (room.gameSpeed < MAX_GAME_SPEED) {
-          room.gameSpeed += SPEED_INCREMENT_PER_TICK;
-          room.gameSpeed = Math.min(room.gameSpeed, MAX_GAME_SPEED);
+        if (room.gameSpeed < room.rules.maxGameSpeed) {
+          room.gameSpeed += room.rules.speedIncrement;
+          room.gameSpeed = Math.min(room.gameSpeed, room.rules.maxGameSpeed);
         }
 
-        // Dynamic difficulty: Expand road every 30 seconds
-        if (now - room.lastExpansionTime >= ROAD_EXPANSION_INTERVAL) {
+        // Dynamic difficulty: Expand road on the room's interval
+        if (now - room.lastExpansionTime >= room.rules.roadExpansionInterval) {
           room.lastExpansionTime = now;
-          const newWidth = room.roadWidth * ROAD_EXPANSION_RATE;
+          const newWidth = room.roadWidth * room.rules.roadExpansionRate;
           room.roadWidth = Math.min(newWidth, MAX_ROAD_WIDTH);
           console.log(
             `Room [${roomCode}] road expanded to ${Math.floor(room.roadWidth)}px`,
@@ -552,40 +3168,27 @@ setInterval(() => {
         // Generate new obstacles ahead of the leading player
         // Obstacles spawn at negative worldY values ahead of the leader
         const spawnAheadPixels = SPAWN_AHEAD_DISTANCE * PIXELS_PER_METER;
-        const spawnIntervalPixels = OBSTACLE_SPAWN_INTERVAL * PIXELS_PER_METER;
-
-        // Initialize spawn position if needed (start spawning ahead of current leader)
-        if (room.lastSpawnWorldY === 0 && hasPlayers) {
-          room.lastSpawnWorldY = minWorldY - spawnIntervalPixels;
-        }
+        const spawnIntervalPixels = getObstacleSpacing(room);
 
         // Spawn obstacles ahead of the leading player (minWorldY)
-        // We need lastSpawnWorldY to be more negative than minWorldY - spawnAhead
+        // Layout comes from the race seed so clients can rebuild it locally
         const spawnThreshold = minWorldY - spawnAheadPixels;
         while (room.lastSpawnWorldY > spawnThreshold) {
-          room.lastSpawnWorldY -= spawnIntervalPixels;
-
-          // Distribute obstacles across the FULL road width including edges
-          let obstacleX;
-          const zoneRoll = Math.random();
-          if (zoneRoll < 0.25) {
-            // Left edge zone (0.02 - 0.25)
-            obstacleX = Math.random() * 0.23 + 0.02;
-          } else if (zoneRoll < 0.5) {
-            // Right edge zone (0.75 - 0.98)
-            obstacleX = Math.random() * 0.23 + 0.75;
-          } else {
-            // Center zone (0.25 - 0.75)
-            obstacleX = Math.random() * 0.5 + 0.25;
-          }
-
-          const newObstacle = {
-            id: room.nextObstacleId++,
-            x: obstacleX,
-            worldY: room.lastSpawnWorldY,
-            distance: Math.abs(room.lastSpawnWorldY) / PIXELS_PER_METER,
-          };
+          const newObstacle = Course.getObstacle(
+            room.seed,
+            room.nextObstacleId++,
+            spawnIntervalPixels,
+          );
+          room.lastSpawnWorldY = newObstacle.worldY;
           room.obstacles.push(newObstacle);
+
+          // Some gaps between obstacles hold a power-up
+          const pickup = Course.getPickup(
+            room.seed,
+            newObstacle.id,
+            spawnIntervalPixels,
+          );
+          if (pickup) room.pickups.push(pickup);
         }
 
         // Remove obstacles that are behind all players (worldY greater than maxWorldY + buffer)
@@ -594,37 +3197,43 @@ setInterval(() => {
         room.obstacles = room.obstacles.filter(
           (obs) => obs.worldY < maxWorldY + despawnBufferPixels,
         );
+        room.pickups = room.pickups.filter(
+          (pickup) => pickup.worldY < maxWorldY + despawnBufferPixels,
+        );
+        if (
+          room.oilSlicks.some(
+            (slick) => slick.worldY >= maxWorldY + despawnBufferPixels,
+          )
+        ) {
+          room.oilSlicks = room.oilSlicks.filter(
+            (slick) => slick.worldY < maxWorldY + despawnBufferPixels,
+          );
+        }
       }
 
-      // Build leaderboard (top 5 by distance)
-      const leaderboard = Object.entries(room.players)
-        .map(([id, p]) => ({
-          name: p.name,
-          distance: p.distance,
-          finished: p.finished,
-          position: p.position,
-        }))
-        .sort((a, b) => {
-          // Finished players first, by position
-          if (a.finished && !b.finished) return -1;
-          if (!a.finished && b.finished) return 1;
-          if (a.finished && b.finished) return a.position - b.position;
-          // Then by distance
-          return b.distance - a.distance;
-        })
-        .slice(0, 5);
-
-      // Broadcast game state
-      io.to(roomCode).emit("game-state", {
-        players: room.players,
-        obstacles: room.obstacles,
-        leaderboard: leaderboard,
-        roadWidth: room.roadWidth,
-        gameSpeed: room.raceState === RACE_STATE.RACING ? room.gameSpeed : 0,
-        raceState: room.raceState,
-        raceDistance: room.raceDistance,
-        raceTime: room.raceStartTime ? now - room.raceStartTime : 0,
-      });
+      // Broadcast game state - a full keyframe now and then, otherwise
+      // only what changed since the last tick
+      const snapshot = buildSnapshot(room, now);
+      if (
+        room.forceKeyframe ||
+        !room.lastSnapshot ||
+        now - room.lastKeyframeTime >= KEYFRAME_INTERVAL
+      ) {
+        io.to(roomCode).emit("game-state", snapshot);
+        room.lastKeyframeTime = now;
+        room.forceKeyframe = false;
+      } else {
+        const delta = buildDelta(room.lastSnapshot, snapshot);
+        if (delta) {
+          io.to(roomCode).emit("game-state-delta", delta);
+        }
+      }
+      room.lastSnapshot = snapshot;
+
+      // Record the race for replays
+      if (room.replay && room.raceState === RACE_STATE.RACING) {
+        recordReplayFrame(room, snapshot);
+      }
     }
   }
 }, 1000 / TICK_RATE);
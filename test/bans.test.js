@@ -0,0 +1,75 @@
+/**
+ * Host bans (tied to the banned player's session)
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startServer,
+  createRoom,
+  joinRoom,
+  once,
+  startSoloRace,
+} = require("./helpers");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+// Room with a host and one guest the host has just banned
+async function banGuest(name = "bob") {
+  const host = server.connect();
+  const { roomCode } = await createRoom(host, { name: "host" });
+
+  const guest = server.connect();
+  const joined = await joinRoom(guest, { roomCode, name });
+  host.emit("ban-player", { targetId: joined.playerId });
+  await once(guest, "kicked");
+
+  return { roomCode: roomCode, guest: guest, joined: joined };
+}
+
+test("a banned player can't rejoin under a different name", async () => {
+  const { roomCode, guest, joined } = await banGuest();
+
+  await assert.rejects(
+    joinRoom(guest, {
+      roomCode: roomCode,
+      name: "not bob",
+      sessionToken: joined.sessionToken,
+    }),
+    /banned/,
+  );
+});
+
+test("someone else with the banned player's name can join", async () => {
+  const { roomCode } = await banGuest();
+
+  const joined = await joinRoom(server.connect(), { roomCode, name: "bob" });
+  assert.equal(joined.name, "bob");
+});
+
+test("a spectator who joined mid-race can be banned", async () => {
+  const { socket: host, joined: hosted } = await startSoloRace(server);
+  const roomCode = hosted.roomCode;
+
+  const watcher = server.connect();
+  const joined = await joinRoom(watcher, { roomCode, name: "watcher" });
+  assert.equal(joined.spectator, true);
+
+  host.emit("ban-player", { targetId: joined.playerId });
+  await once(watcher, "kicked");
+
+  await assert.rejects(
+    joinRoom(watcher, {
+      roomCode: roomCode,
+      name: "watcher",
+      sessionToken: joined.sessionToken,
+    }),
+    /banned/,
+  );
+});
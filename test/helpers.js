@@ -0,0 +1,154 @@
+/**
+ * Neon Racer - Test helpers
+ * Runs the real server in a child process and talks to it over Socket.io
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { io } = require("socket.io-client");
+
+const SERVER_FILE = path.join(__dirname, "..", "server.js");
+const EVENT_TIMEOUT_MS = 5000;
+
+// A port nothing is listening on right now
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Fresh results file in a temp dir (optionally pre-filled)
+function createResultsFile(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neon-racer-"));
+  const file = path.join(dir, "results.json");
+  if (contents !== undefined) {
+    fs.writeFileSync(file, JSON.stringify(contents));
+  }
+  return file;
+}
+
+// Start server.js and resolve once it is listening
+async function startServer({ resultsFile = createResultsFile() } = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    env: { ...process.env, PORT: String(port), RESULTS_FILE: resultsFile },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) resolve();
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.once("exit", (code) =>
+      reject(new Error(`Server exited (${code}) before listening:\n${output}`)),
+    );
+  });
+
+  const url = `http://localhost:${port}`;
+  const sockets = [];
+
+  return {
+    url: url,
+    resultsFile: resultsFile,
+    output: () => output,
+    alive: () => child.exitCode === null && child.signalCode === null,
+
+    // New client connection (closed by stop)
+    connect() {
+      const socket = io(url, { transports: ["websocket"], forceNew: true });
+      sockets.push(socket);
+      return socket;
+    },
+
+    stop() {
+      sockets.forEach((socket) => socket.close());
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise((resolve) => {
+        child.once("exit", resolve);
+        child.kill();
+      });
+    },
+  };
+}
+
+// Next event of a type on a socket (rejects if it doesn't come)
+function once(socket, event, timeout = EVENT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeout);
+    const onEvent = (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    };
+    socket.once(event, onEvent);
+  });
+}
+
+// Emit a join/create and resolve with "joined" data, or reject with the error
+function joinResult(socket, event, data) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      socket.off("joined", onJoined);
+      socket.off("error", onError);
+    };
+    const onJoined = (joined) => {
+      cleanup();
+      resolve(joined);
+    };
+    const onError = (message) => {
+      cleanup();
+      reject(new Error(message));
+    };
+    socket.on("joined", onJoined);
+    socket.on("error", onError);
+    socket.emit(event, data);
+  });
+}
+
+function createRoom(socket, data) {
+  return joinResult(socket, "create-room", data);
+}
+
+function joinRoom(socket, data) {
+  return joinResult(socket, "join-room", data);
+}
+
+// Host a time trial on their own and wait for the green light
+async function startSoloRace(server, name = "solo", distance = 1000) {
+  const socket = server.connect();
+  const joined = await createRoom(socket, { name: name });
+  socket.emit("set-race-mode", { mode: "timetrial" });
+  socket.emit("set-race-distance", { distance: distance });
+  socket.emit("toggle-ready");
+  socket.emit("start-race"); // Handled in order, so we're ready by then
+  await once(socket, "race-started", 10000);
+  return { socket: socket, joined: joined };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  startServer,
+  createResultsFile,
+  once,
+  createRoom,
+  joinRoom,
+  startSoloRace,
+  sleep,
+};
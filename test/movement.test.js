@@ -0,0 +1,92 @@
+/**
+ * Server-side validation of player-update movement
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, startSoloRace, once, sleep } = require("./helpers");
+
+// Must match the server's physics
+const BASE_METERS_PER_MS = (2 * 0.1 * 60) / 1000; // Base game speed, no boost
+const WORLD_Y_PER_METER = 20;
+const GRID_X = 0.35; // First grid slot
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test("progress beyond the time budget is clamped and corrected", async () => {
+  const { socket } = await startSoloRace(server);
+
+  const correction = once(socket, "position-corrected");
+  socket.emit("player-update", {
+    x: GRID_X,
+    worldY: -500 * WORLD_Y_PER_METER,
+    distance: 500,
+    boosting: false,
+  });
+
+  const corrected = await correction;
+  assert.ok(corrected.distance < 20, `distance ${corrected.distance}`);
+  assert.equal(corrected.worldY, -corrected.distance * WORLD_Y_PER_METER);
+});
+
+test("lane changes faster than the car can steer are clamped", async () => {
+  const { socket } = await startSoloRace(server);
+
+  const correction = once(socket, "position-corrected");
+  socket.emit("player-update", {
+    x: 1,
+    worldY: 0,
+    distance: 0,
+    boosting: false,
+  });
+
+  const corrected = await correction;
+  assert.ok(corrected.x < 1, `x ${corrected.x}`);
+  assert.ok(corrected.x > GRID_X);
+});
+
+test("driving at the room's speed is never corrected", async () => {
+  const { socket } = await startSoloRace(server);
+  let corrections = 0;
+  socket.on("position-corrected", () => corrections++);
+
+  const startTime = Date.now();
+  for (let i = 0; i < 20; i++) {
+    await sleep(50);
+    const distance = (Date.now() - startTime) * BASE_METERS_PER_MS;
+    socket.emit("player-update", {
+      x: GRID_X + i * 0.005,
+      worldY: -distance * WORLD_Y_PER_METER,
+      distance: distance,
+      boosting: false,
+    });
+  }
+  await sleep(200);
+
+  assert.equal(corrections, 0);
+});
+
+test("repeated violations remove the player", async () => {
+  const { socket } = await startSoloRace(server);
+  const removed = once(socket, "disconnect", 10000);
+
+  // Outside the correction grace period each time
+  for (let i = 1; i <= 5 && socket.connected; i++) {
+    socket.emit("player-update", {
+      x: GRID_X,
+      worldY: -1000 * i * WORLD_Y_PER_METER,
+      distance: 1000 * i,
+      boosting: false,
+    });
+    await sleep(600);
+  }
+
+  await removed;
+  assert.ok(server.alive());
+});
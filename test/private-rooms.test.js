@@ -0,0 +1,125 @@
+/**
+ * Joining password-protected rooms
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, createRoom, joinRoom, once } = require("./helpers");
+
+const TOO_MANY = /Too many password attempts/;
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+// A private room with the host in it
+async function createPrivateRoom(password = "secret") {
+  const host = server.connect();
+  const joined = await createRoom(host, { name: "host", password: password });
+  return { host: host, roomCode: joined.roomCode };
+}
+
+test("inherited property names are not tokens", async () => {
+  const { roomCode } = await createPrivateRoom();
+
+  for (const key of ["inviteToken", "sessionToken"]) {
+    for (const token of ["constructor", "__proto__", "toString"]) {
+      await assert.rejects(
+        joinRoom(server.connect(), {
+          roomCode: roomCode,
+          name: "mallory",
+          [key]: token,
+        }),
+        /expired|enter the room password/,
+      );
+    }
+  }
+});
+
+test("the password is trimmed on create and join alike", async () => {
+  const { roomCode } = await createPrivateRoom("secret ");
+
+  const joined = await joinRoom(server.connect(), {
+    roomCode: roomCode,
+    name: "guest",
+    password: "secret",
+  });
+  assert.equal(joined.roomCode, roomCode);
+});
+
+test("one guesser can't lock others out of the room", async () => {
+  const { roomCode } = await createPrivateRoom();
+
+  const guesser = server.connect();
+  const results = [];
+  for (let i = 0; i < 7; i++) {
+    results.push(
+      await joinRoom(guesser, {
+        roomCode: roomCode,
+        name: "guesser",
+        password: `guess${i}`,
+      }).catch((err) => err.message),
+    );
+  }
+  assert.equal(results.filter((r) => /Wrong password/.test(r)).length, 5);
+  assert.match(results[6], TOO_MANY);
+
+  // Out of tries even with the right password
+  await assert.rejects(
+    joinRoom(guesser, { roomCode, name: "guesser", password: "secret" }),
+    TOO_MANY,
+  );
+
+  // Everyone else still gets in (same address, different connection)
+  const joined = await joinRoom(server.connect(), {
+    roomCode: roomCode,
+    name: "friend",
+    password: "secret",
+  });
+  assert.equal(joined.name, "friend");
+});
+
+test("guesses sent in parallel share one budget", async () => {
+  const { roomCode } = await createPrivateRoom();
+
+  const guesser = server.connect();
+  await once(guesser, "connect");
+  const errors = [];
+  guesser.on("error", (message) => errors.push(message));
+  for (let i = 0; i < 10; i++) {
+    guesser.emit("join-room", {
+      roomCode: roomCode,
+      name: "guesser",
+      password: `guess${i}`,
+    });
+  }
+  while (errors.length < 10) await once(guesser, "error");
+
+  assert.equal(errors.filter((e) => TOO_MANY.test(e)).length, 5);
+});
+
+test("an invite link works once", async () => {
+  const { host, roomCode } = await createPrivateRoom();
+  host.emit("create-invite");
+  const { inviteToken } = await once(host, "invite-created");
+
+  const joined = await joinRoom(server.connect(), {
+    roomCode: roomCode,
+    name: "invited",
+    inviteToken: inviteToken,
+  });
+  assert.equal(joined.roomCode, roomCode);
+
+  await assert.rejects(
+    joinRoom(server.connect(), {
+      roomCode: roomCode,
+      name: "second",
+      inviteToken: inviteToken,
+    }),
+    /expired or was already used/,
+  );
+});
@@ -0,0 +1,112 @@
+/**
+ * Personal bests saved to the results file and served by the results API
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const {
+  startServer,
+  createResultsFile,
+  startSoloRace,
+  once,
+  sleep,
+} = require("./helpers");
+
+// Must match the server's physics
+const BASE_METERS_PER_MS = (2 * 0.1 * 60) / 1000; // Base game speed, no boost
+const WORLD_Y_PER_METER = 20;
+const GRID_X = 0.35;
+const UPDATE_MS = 50;
+
+// Drive a legal race to the line (waiting out any stuns) and resolve with
+// our player-finished data
+async function driveToFinish(socket, playerId, distanceToGo) {
+  let distance = 0;
+  let stunnedUntil = 0;
+  let finished = null;
+
+  socket.on("player-stunned", (data) => {
+    if (data.playerId === playerId) stunnedUntil = Date.now() + data.duration;
+  });
+  socket.on("position-corrected", (data) => (distance = data.distance));
+  socket.on("player-finished", (data) => {
+    if (data.playerId === playerId) finished = data;
+  });
+
+  let lastStep = Date.now();
+  while (!finished) {
+    await sleep(UPDATE_MS);
+    const now = Date.now();
+    if (now >= stunnedUntil) {
+      distance = Math.min(
+        distanceToGo,
+        distance + (now - lastStep) * BASE_METERS_PER_MS,
+      );
+    }
+    lastStep = now;
+
+    socket.emit("player-update", {
+      x: GRID_X,
+      worldY: -distance * WORLD_Y_PER_METER,
+      distance: distance,
+      boosting: false,
+    });
+  }
+  return finished;
+}
+
+test("a finish is saved and survives a restart", async () => {
+  const resultsFile = createResultsFile();
+  let server = await startServer({ resultsFile: resultsFile });
+
+  try {
+    const { socket, joined } = await startSoloRace(server, "Runner", 100);
+    const finished = await driveToFinish(socket, joined.playerId, 100);
+    assert.equal(finished.personalBest, true);
+    assert.equal(finished.allTimeRank, 1);
+
+    // Saves are asynchronous
+    await sleep(300);
+    const saved = JSON.parse(fs.readFileSync(resultsFile, "utf8"));
+    assert.equal(saved.trial100.runner.time, finished.time);
+    assert.equal(saved["100"], undefined); // Trials are ranked apart
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer({ resultsFile: resultsFile });
+  try {
+    const res = await fetch(`${server.url}/api/results/100?mode=timetrial`);
+    const body = await res.json();
+    assert.equal(body.leaderboard.length, 1);
+    assert.equal(body.leaderboard[0].name, "Runner");
+  } finally {
+    await server.stop();
+  }
+});
+
+test("names that look like object internals are plain names", async () => {
+  // Parsed so "__proto__" is an own key, as it is in a saved file
+  const resultsFile = createResultsFile(
+    JSON.parse(
+      '{"1000": {"__proto__": {"name": "__proto__", "time": 5000, "date": "2026-01-01"}}}',
+    ),
+  );
+  const server = await startServer({ resultsFile: resultsFile });
+
+  try {
+    const inherited = await fetch(
+      `${server.url}/api/players/constructor/bests`,
+    );
+    assert.deepEqual((await inherited.json()).bests, {});
+
+    const proto = await fetch(`${server.url}/api/players/__proto__/bests`);
+    assert.equal((await proto.json()).bests["1000"].time, 5000);
+
+    const board = await fetch(`${server.url}/api/results/1000`);
+    assert.equal((await board.json()).leaderboard[0].name, "__proto__");
+  } finally {
+    await server.stop();
+  }
+});
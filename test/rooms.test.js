@@ -0,0 +1,28 @@
+/**
+ * Creating and joining rooms with missing or malformed data
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, createRoom, joinRoom } = require("./helpers");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test("a join or create with no data is refused", async () => {
+  const socket = server.connect();
+
+  await assert.rejects(joinRoom(socket), /Room code and name are required/);
+  await assert.rejects(joinRoom(socket, null), /Room code and name/);
+  await assert.rejects(createRoom(socket), /Name is required/);
+
+  // The server is still up and taking rooms
+  assert.ok(server.alive());
+  const joined = await createRoom(socket, { name: "host" });
+  assert.ok(joined.roomCode);
+});